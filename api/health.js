@@ -26,13 +26,16 @@ module.exports = async (req, res) => {
       timestamp: new Date().toISOString(),
       endpoints: {
         sync: '/api/sync',
+        webhook: '/api/webhook',
+        runs: '/api/runs',
         health: '/api/health'
       },
       features: {
         incrementalSync: true,
         fullSync: true,
         automaticColumnCreation: true,
-        cronScheduling: true
+        cronScheduling: true,
+        webhooks: true
       }
     });
   } catch (error) {
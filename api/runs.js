@@ -0,0 +1,62 @@
+const SupabaseService = require('../services/supabaseService');
+const SyncRunHistory = require('../utils/runHistory');
+const { readRawBody } = require('../utils/http');
+const { authenticateRequest } = require('../utils/requestAuth');
+
+const MAX_LIMIT = 100;
+
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Sync-Timestamp, X-Sync-Signature');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    // Run history exposes sync options and errors, so it uses the same auth as /api/sync
+    const rawBody = await readRawBody(req);
+    const auth = authenticateRequest(req, rawBody);
+
+    if (!auth.authenticated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized'
+      });
+    }
+
+    const { profile, status, limit } = req.query;
+
+    const supabaseService = new SupabaseService(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    const runHistory = new SyncRunHistory(supabaseService);
+
+    const runs = await runHistory.getRecentRuns({
+      profile: profile || null,
+      status: status || null,
+      limit: Math.min(parseInt(limit) || 20, MAX_LIMIT)
+    });
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -1,11 +1,14 @@
 // Import the main sync class
 const NotionSupabaseSync = require('../index.js');
+const SyncStateManager = require('../utils/syncState');
+const { readRawBody } = require('../utils/http');
+const { authenticateRequest } = require('../utils/requestAuth');
 
 module.exports = async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Sync-Timestamp, X-Sync-Signature');
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -22,22 +25,34 @@ module.exports = async (req, res) => {
   }
 
   try {
+    // Require a bearer token or signed request before doing any work
+    const rawBody = await readRawBody(req);
+    const auth = authenticateRequest(req, rawBody);
+
+    if (!auth.authenticated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized'
+      });
+    }
+
     // Log the request source for debugging
     const userAgent = req.headers['user-agent'] || '';
     const isFromSupabase = userAgent.includes('Supabase') || req.headers['x-supabase-function'] === 'true';
+    const isScheduled = isFromSupabase || userAgent.includes('GitHub-Actions-Scheduler');
     
     console.log('Sync API triggered', {
       source: isFromSupabase ? 'Supabase Edge Function' : 'Direct',
       environment: process.env.VERCEL ? 'Vercel' : 'Local',
       userAgent: userAgent.substring(0, 100),
       method: req.method,
-      url: req.url
+      url: req.url,
+      authMethod: auth.method
     });
 
-    // Validate environment variables
+    // Validate environment variables (database IDs come from the sync profiles)
     const requiredEnvVars = [
       'NOTION_TOKEN',
-      'NOTION_DATABASE_ID', 
       'SUPABASE_URL',
       'SUPABASE_SERVICE_ROLE_KEY'
     ];
@@ -54,40 +69,79 @@ module.exports = async (req, res) => {
     }
     
     // Parse query parameters
-    const { forceFullSync, maxPages, dryRun } = req.query;
-    
-    // Create sync instance with explicit config
-    const sync = new NotionSupabaseSync({
-      notionToken: process.env.NOTION_TOKEN,
-      notionDatabaseId: process.env.NOTION_DATABASE_ID,
-      supabaseUrl: process.env.SUPABASE_URL,
-      supabaseServiceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
-      tableName: process.env.TABLE_NAME || 'wheeltribe_content'
-    });
-    
-    // Initialize
-    console.log('Initializing sync...');
-    await sync.initialize();
-    
+    const { forceFullSync, maxPages, dryRun, resume, continuation, timeBudgetMs, deadlineMs } = req.query;
+    let { profile } = req.query;
+
+    // A continuation token resumes the profile that returned it
+    if (continuation) {
+      const token = SyncStateManager.decodeContinuation(continuation);
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid continuation token'
+        });
+      }
+      profile = token.profile;
+    }
+
+    // Stop at a checkpoint before the serverless function times out
+    const budget = parseInt(timeBudgetMs || process.env.SYNC_TIME_BUDGET_MS) || null;
+    const deadline = budget ? Date.now() + budget : null;
+
+    // Abort requests and retries in flight once the hard deadline passes, so a down upstream
+    // ends the run with an error instead of a function timeout
+    const hardLimit = parseInt(deadlineMs || process.env.SYNC_DEADLINE_MS) || null;
+    const hardDeadline = hardLimit ? Date.now() + hardLimit : null;
+
     // Run sync with options
     const options = {
       forceFullSync: forceFullSync === 'true',
       dryRun: dryRun === 'true',
-      maxPages: maxPages ? parseInt(maxPages) : null
+      maxPages: maxPages ? parseInt(maxPages) : null,
+      resume: resume === 'true',
+      continuation: continuation || null
     };
     
-    console.log('Sync options:', options);
+    console.log('Sync options:', { ...options, profile: profile || 'all', timeBudgetMs: budget, deadlineMs: hardLimit });
     
-    // Execute sync
+    // Execute sync for the requested profile (or all profiles); profiles share the time budget
     console.log('Starting sync execution...');
-    const result = await sync.sync(options);
+    const results = await NotionSupabaseSync.runProfiles(
+      profile || null,
+      sync => sync.sync({
+        ...options,
+        timeBudgetMs: deadline ? Math.max(deadline - Date.now(), 1) : null,
+        deadlineMs: hardDeadline ? Math.max(hardDeadline - Date.now(), 1) : null,
+        trigger: isScheduled ? 'cron' : 'api'
+      }),
+      {
+        notionToken: process.env.NOTION_TOKEN,
+        supabaseUrl: process.env.SUPABASE_URL,
+        supabaseServiceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+      }
+    );
+    
+    console.log('Sync completed:', results);
+    
+    const failed = results.filter(result => !result.success);
     
-    console.log('Sync completed:', result);
+    const continuations = results
+      .filter(result => result.success && result.result.continuation)
+      .map(result => ({ profile: result.profile, continuation: result.result.continuation }));
+    
+    let message = 'Sync completed successfully';
+    if (failed.length > 0) {
+      message = `Sync failed for profiles: ${failed.map(result => result.profile).join(', ')}`;
+    } else if (continuations.length > 0) {
+      message = 'Time budget reached - call again with the continuation token to finish';
+    }
     
-    res.status(200).json({
-      success: true,
-      message: 'Sync completed successfully',
-      result: result
+    res.status(failed.length > 0 ? 500 : 200).json({
+      success: failed.length === 0,
+      message,
+      complete: continuations.length === 0,
+      continuations,
+      results: results
     });
     
   } catch (error) {
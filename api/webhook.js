@@ -0,0 +1,103 @@
+// Import the main sync class
+const NotionSupabaseSync = require('../index.js');
+const logger = require('../config/logger');
+const { loadProfiles } = require('../config/syncProfiles');
+const { readRawBody } = require('../utils/http');
+const {
+  verifyNotionSignature,
+  parsePageEvent,
+  findProfilesForDatabase
+} = require('../utils/notionWebhook');
+
+/**
+ * Notion webhook receiver: syncs only the pages named in page events
+ */
+module.exports = async (req, res) => {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      message: 'Method not allowed. Use POST.'
+    });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+
+    let event;
+    try {
+      event = JSON.parse(rawBody || '{}');
+    } catch (error) {
+      return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+    }
+
+    const secret = process.env.NOTION_WEBHOOK_SECRET;
+
+    // One-time subscription verification: the token must be copied into NOTION_WEBHOOK_SECRET
+    if (!secret && event.verification_token && !event.type) {
+      logger.warn('Notion webhook verification token received - set it as NOTION_WEBHOOK_SECRET', {
+        verificationToken: event.verification_token
+      });
+      return res.status(200).json({ success: true, message: 'Verification token received' });
+    }
+
+    if (!secret) {
+      logger.error('NOTION_WEBHOOK_SECRET is not configured, rejecting webhook');
+      return res.status(500).json({ success: false, error: 'Webhook secret not configured' });
+    }
+
+    if (!verifyNotionSignature(rawBody, req.headers['x-notion-signature'], secret)) {
+      logger.warn('Rejected Notion webhook with invalid signature', {
+        eventId: event.id,
+        eventType: event.type
+      });
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+
+    const pageEvent = parsePageEvent(event);
+    if (!pageEvent) {
+      logger.info('Ignoring Notion webhook event', { eventId: event.id, eventType: event.type });
+      return res.status(202).json({ success: true, message: `Event ignored: ${event.type}` });
+    }
+
+    const profiles = pageEvent.databaseId
+      ? findProfilesForDatabase(loadProfiles(), pageEvent.databaseId)
+      : [];
+
+    if (profiles.length === 0) {
+      logger.info('No sync profile for webhook page', pageEvent);
+      return res.status(202).json({ success: true, message: 'No sync profile for this database' });
+    }
+
+    logger.info('Processing Notion webhook event', {
+      eventId: event.id,
+      ...pageEvent,
+      profiles: profiles.map(profile => profile.name)
+    });
+
+    const results = [];
+    for (const profile of profiles) {
+      const profileResults = await NotionSupabaseSync.runProfiles(profile.name, sync => (
+        pageEvent.action === 'delete'
+          ? sync.removePages([pageEvent.pageId])
+          : sync.syncPages([pageEvent.pageId])
+      ));
+      results.push(...profileResults);
+    }
+
+    const failed = results.filter(result => !result.success);
+
+    res.status(failed.length > 0 ? 500 : 200).json({
+      success: failed.length === 0,
+      event: pageEvent,
+      results
+    });
+  } catch (error) {
+    logger.error('Webhook processing failed', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
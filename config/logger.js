@@ -24,13 +24,13 @@ const fileFormat = winston.format.combine(
   winston.format.json()
 );
 
+const consoleTransport = new winston.transports.Console({
+  format: consoleFormat,
+  level: 'info'
+});
+
 // Base transports (always include console)
-const transports = [
-  new winston.transports.Console({
-    format: consoleFormat,
-    level: 'info'
-  })
-];
+const transports = [consoleTransport];
 
 // Add file transports only in local environment
 if (!isServerless) {
@@ -98,4 +98,11 @@ if (!isServerless) {
   );
 }
 
+/**
+ * Write console log lines to stderr, leaving stdout to machine-readable output (CLI --json)
+ */
+logger.logToStderr = () => {
+  consoleTransport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+};
+
 module.exports = logger; 
\ No newline at end of file
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'sync.config.json');
+const DEFAULT_PROFILE_NAME = 'default';
+const DEFAULT_TABLE_NAME = 'wheeltribe_content';
+
+/**
+ * Read the raw sync configuration from SYNC_PROFILES (inline JSON) or a JSON file
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Object|null} - Parsed configuration or null when none is defined
+ */
+function readSyncConfig(configPath = process.env.SYNC_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  if (process.env.SYNC_PROFILES) {
+    try {
+      return JSON.parse(process.env.SYNC_PROFILES);
+    } catch (error) {
+      throw new Error(`Invalid SYNC_PROFILES JSON: ${error.message}`);
+    }
+  }
+
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid sync config file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load all sync profiles, falling back to a single profile built from environment variables
+ * @param {Object} options - Load options
+ * @param {string} options.configPath - Path to the configuration file
+ * @returns {Array<Object>} - Array of profile configurations
+ */
+function loadProfiles(options = {}) {
+  const rawConfig = readSyncConfig(options.configPath);
+
+  if (!rawConfig) {
+    logger.debug('No sync config found, using environment profile');
+    return [{
+      name: DEFAULT_PROFILE_NAME,
+      notionDatabaseId: process.env.NOTION_DATABASE_ID,
+      tableName: process.env.TABLE_NAME || DEFAULT_TABLE_NAME
+    }];
+  }
+
+  const defaults = rawConfig.defaults || {};
+  const rawProfiles = Array.isArray(rawConfig.profiles) ? rawConfig.profiles : [];
+
+  if (rawProfiles.length === 0) {
+    throw new Error('Sync config must define at least one profile');
+  }
+
+  const profiles = rawProfiles.map(profile => ({ ...defaults, ...profile }));
+  validateProfiles(profiles);
+
+  logger.debug('Sync profiles loaded', { profiles: profiles.map(profile => profile.name) });
+  return profiles;
+}
+
+/**
+ * Validate profile definitions
+ * @param {Array<Object>} profiles - Profile configurations
+ */
+function validateProfiles(profiles) {
+  const seenNames = new Set();
+
+  for (const profile of profiles) {
+    if (!profile.name) {
+      throw new Error('Every sync profile requires a name');
+    }
+
+    if (seenNames.has(profile.name)) {
+      throw new Error(`Duplicate sync profile name: ${profile.name}`);
+    }
+    seenNames.add(profile.name);
+
+    const missing = ['notionDatabaseId', 'tableName'].filter(key => !profile[key]);
+    if (missing.length > 0) {
+      throw new Error(`Sync profile '${profile.name}' is missing: ${missing.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Select profiles by name
+ * @param {Array<Object>} profiles - All profile configurations
+ * @param {string} profileName - Profile name, or empty for all profiles
+ * @returns {Array<Object>} - Selected profiles
+ */
+function selectProfiles(profiles, profileName) {
+  if (!profileName) {
+    return profiles;
+  }
+
+  const selected = profiles.filter(profile => profile.name === profileName);
+
+  if (selected.length === 0) {
+    throw new Error(`Unknown sync profile: ${profileName}. Available: ${profiles.map(p => p.name).join(', ')}`);
+  }
+
+  return selected;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  loadProfiles,
+  selectProfiles
+};
@@ -13,23 +13,61 @@ const logger = require('./config/logger');
 const NotionService = require('./services/notionService');
 const SupabaseService = require('./services/supabaseService');
 const SyncStateManager = require('./utils/syncState');
-const { transformNotionPage, validateTransformedData } = require('./utils/dataTransformer');
+const SchemaManager = require('./utils/schemaManager');
+const { transformNotionPage, validateTransformedData, isPageRemoved } = require('./utils/dataTransformer');
 const RetryManager = require('./utils/retry');
+const DeletionReconciler = require('./utils/deletionReconciler');
+const PageContentSync = require('./utils/pageContent');
+const ReverseSync = require('./utils/reverseSync');
+const RelationSync = require('./utils/relationSync');
+const AssetMirror = require('./utils/assetMirror');
+const UserDirectory = require('./utils/userDirectory');
+const { PEOPLE_TYPES } = require('./utils/people');
+const SchemaDrift = require('./utils/schemaDrift');
+const { buildSchemaPlan, formatSchemaPlan, writeMigration } = require('./utils/schemaPlan');
+const { diffRows } = require('./utils/rowDiff');
+const SyncRunHistory = require('./utils/runHistory');
+const DeadLetterQueue = require('./utils/deadLetterQueue');
+const { normalizeNotionId } = require('./utils/notionWebhook');
+const { DEFAULT_PROFILE_NAME, loadProfiles, selectProfiles } = require('./config/syncProfiles');
+
+// Pipeline stages whose per-page failures are quarantined in the dead-letter table
+const QUARANTINE_STAGES = ['fetch', 'relations', 'assets', 'transform', 'content', 'upsert'];
+
+// Pages read to infer the result type of formulas (and rollups without a typed function)
+const RESULT_TYPE_SAMPLE_SIZE = 25;
+
+/**
+ * Return the later of two timestamps
+ * @param {string|null} a - ISO timestamp
+ * @param {string|null} b - ISO timestamp
+ * @returns {string|null} - Later timestamp
+ */
+function latestTimestamp(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(b) > new Date(a) ? b : a;
+}
 
 /**
- * Main Notion to Supabase sync orchestrator
+ * Main Notion to Supabase sync orchestrator for a single sync profile
  */
 class NotionSupabaseSync {
   constructor(config = {}) {
     this.config = {
+      profileName: config.profileName || DEFAULT_PROFILE_NAME,
       notionToken: config.notionToken || process.env.NOTION_TOKEN,
       notionDatabaseId: config.notionDatabaseId || process.env.NOTION_DATABASE_ID,
       supabaseUrl: config.supabaseUrl || process.env.SUPABASE_URL,
       supabaseServiceRoleKey: config.supabaseServiceRoleKey || process.env.SUPABASE_SERVICE_ROLE_KEY,
       tableName: config.tableName || 'wheeltribe_content',
       batchSize: parseInt(config.batchSize || process.env.SYNC_BATCH_SIZE || '100'),
+      upsertChunkSize: parseInt(config.upsertChunkSize || process.env.SYNC_UPSERT_CHUNK_SIZE || '100'),
+      watermarkOverlapSeconds: parseInt(config.watermarkOverlapSeconds ?? process.env.SYNC_WATERMARK_OVERLAP_SECONDS ?? '120'),
       maxRetries: parseInt(config.maxRetries || process.env.MAX_RETRIES || '3'),
       retryDelay: parseInt(config.retryDelay || process.env.RETRY_DELAY_MS || '1000'),
+      deletionPolicy: config.deletionPolicy || process.env.DELETION_POLICY || 'none',
+      autoApplySchema: String(config.autoApplySchema ?? process.env.SYNC_AUTO_APPLY_SCHEMA ?? 'true') !== 'false',
       ...config
     };
 
@@ -37,8 +75,87 @@ class NotionSupabaseSync {
     
     this.notionService = new NotionService(this.config.notionToken);
     this.supabaseService = new SupabaseService(this.config.supabaseUrl, this.config.supabaseServiceRoleKey);
-    this.syncStateManager = new SyncStateManager(this.supabaseService.client);
+    this.syncStateManager = new SyncStateManager(this.supabaseService);
+    this.runHistory = new SyncRunHistory(this.supabaseService);
+    this.deadLetterQueue = new DeadLetterQueue(this.supabaseService);
     this.retryManager = new RetryManager(this.config.maxRetries, this.config.retryDelay);
+    this.deletionReconciler = new DeletionReconciler(this.notionService, this.supabaseService, {
+      databaseId: this.config.notionDatabaseId,
+      tableName: this.config.tableName,
+      policy: this.config.deletionPolicy,
+      pageSize: this.config.batchSize
+    });
+    this.pageContentSync = new PageContentSync(this.notionService, this.config.content);
+    this.relationSync = new RelationSync(this.notionService, this.supabaseService, {
+      tableName: this.config.tableName,
+      junctionTables: this.config.junctionTables
+    });
+    this.assetMirror = new AssetMirror(this.supabaseService, this.config.assets);
+    this.userDirectory = new UserDirectory(this.notionService, this.supabaseService);
+    // Notion users for people JSON columns, loaded by syncSchema when the profile has any
+    this.users = null;
+    this.schemaDrift = new SchemaDrift(this.supabaseService, {
+      profileName: this.config.profileName,
+      tableName: this.config.tableName,
+      schemaDrift: this.config.schemaDrift
+    });
+
+    // Columns whose type change awaits manual review are not written until it is resolved
+    this.heldColumns = [];
+    this.lastSchemaDrift = null;
+    // Dry runs: the DDL the sync would run and the table catalog rows are compared against
+    this.lastSchemaPlan = null;
+    this.tableColumns = [];
+    // Rate limiter metrics at the start of the current run
+    this.rateLimitBaseline = null;
+    // AbortSignal of the current run, shared with the Notion and Supabase services
+    this.signal = null;
+    this.reverseSync = new ReverseSync(this.notionService, this.supabaseService, {
+      profileName: this.config.profileName,
+      tableName: this.config.tableName,
+      twoWay: this.config.twoWay
+    });
+  }
+
+  /**
+   * Create a sync instance from a profile definition
+   * @param {Object} profile - Profile configuration from config/syncProfiles
+   * @param {Object} overrides - Extra configuration (credentials, etc.)
+   * @returns {NotionSupabaseSync} - Sync instance
+   */
+  static fromProfile(profile, overrides = {}) {
+    const { name, ...profileConfig } = profile;
+    return new NotionSupabaseSync({
+      ...profileConfig,
+      ...overrides,
+      profileName: name
+    });
+  }
+
+  /**
+   * Initialize and run a task for every selected profile
+   * @param {string|null} profileName - Profile to run, or null for all profiles
+   * @param {Function} task - Async function receiving an initialized sync instance
+   * @param {Object} overrides - Extra configuration applied to every profile
+   * @returns {Promise<Array>} - Per-profile results
+   */
+  static async runProfiles(profileName, task, overrides = {}) {
+    const profiles = selectProfiles(loadProfiles(), profileName);
+    const results = [];
+
+    for (const profile of profiles) {
+      try {
+        const sync = NotionSupabaseSync.fromProfile(profile, overrides);
+        await sync.initialize();
+        const result = await task(sync);
+        results.push({ profile: profile.name, success: true, result });
+      } catch (error) {
+        logger.error('Profile run failed', { profile: profile.name, error: error.message });
+        results.push({ profile: profile.name, success: false, error: error.message });
+      }
+    }
+
+    return results;
   }
 
   /**
@@ -58,6 +175,28 @@ class NotionSupabaseSync {
       throw new Error(`Missing required configuration: ${missing.join(', ')}`);
     }
 
+    if (!DeletionReconciler.isValidPolicy(this.config.deletionPolicy)) {
+      throw new Error(`Invalid deletionPolicy '${this.config.deletionPolicy}'. Use one of: ${DeletionReconciler.POLICIES.join(', ')}`);
+    }
+
+    const propertyErrors = SchemaManager.validatePropertiesConfig(this.config.properties);
+    if (propertyErrors.length > 0) {
+      throw new Error(`Invalid properties config: ${propertyErrors.join('; ')}`);
+    }
+
+    const { deletedProperties, typeChanges } = this.config.schemaDrift || {};
+    if (deletedProperties && !SchemaDrift.isValidDeletedPropertyPolicy(deletedProperties)) {
+      throw new Error(`Invalid schemaDrift.deletedProperties '${deletedProperties}'. Use one of: ${SchemaDrift.DELETED_PROPERTY_POLICIES.join(', ')}`);
+    }
+    if (typeChanges && !SchemaDrift.isValidTypeChangePolicy(typeChanges)) {
+      throw new Error(`Invalid schemaDrift.typeChanges '${typeChanges}'. Use one of: ${SchemaDrift.TYPE_CHANGE_POLICIES.join(', ')}`);
+    }
+
+    const conflictPolicy = this.config.twoWay?.conflictPolicy;
+    if (conflictPolicy && !ReverseSync.isValidConflictPolicy(conflictPolicy)) {
+      throw new Error(`Invalid twoWay.conflictPolicy '${conflictPolicy}'. Use one of: ${ReverseSync.CONFLICT_POLICIES.join(', ')}`);
+    }
+
     logger.info('Configuration validated successfully');
   }
 
@@ -66,6 +205,7 @@ class NotionSupabaseSync {
    */
   async initialize() {
     logger.warn('Initializing Notion to Supabase sync', {
+      profile: this.config.profileName,
       databaseId: this.config.notionDatabaseId,
       tableName: this.config.tableName
     });
@@ -123,97 +263,425 @@ class NotionSupabaseSync {
     }
   }
 
+  /**
+   * Fetch the Notion database schema with result types and property options applied
+   * @returns {Promise<Object>} - Notion database schema
+   */
+  async loadDatabaseSchema() {
+    let databaseSchema = await this.notionService.getDatabaseSchema(this.config.notionDatabaseId);
+
+    // The database schema does not say what a formula returns, so type it from existing pages
+    if (SchemaManager.needsResultTypeSample(databaseSchema)) {
+      const sample = await this.notionService.getDatabasePages(this.config.notionDatabaseId, {
+        pageSize: RESULT_TYPE_SAMPLE_SIZE
+      });
+      databaseSchema = SchemaManager.inferResultTypes(databaseSchema, sample.results);
+    }
+
+    databaseSchema = SchemaManager.applyPropertyOptions(databaseSchema, this.config.properties);
+    this.checkColumnMapping(databaseSchema);
+    return databaseSchema;
+  }
+
+  /**
+   * Compare the Notion schema with the live table and list the DDL a sync would run
+   * @param {Object} databaseSchema - Schema from loadDatabaseSchema (fetched when omitted)
+   * @param {Object} options - Catalog already read by the caller
+   * @param {Array} options.tableColumns - Columns from describeTable
+   * @param {Object} options.drift - Dry-run report from SchemaDrift.reconcile
+   * @returns {Promise<Object>} - Plan from buildSchemaPlan
+   */
+  async planSchema(databaseSchema = null, options = {}) {
+    const schema = databaseSchema || await this.loadDatabaseSchema();
+    const tableColumns = options.tableColumns || (await this.supabaseService.describeTable(this.config.tableName))?.columns || [];
+    const columns = SchemaManager.extractColumnDefinitions(schema);
+
+    const drift = options.drift || await this.schemaDrift.reconcile({
+      columns,
+      propertyIds: Object.values(schema.properties).map(property => property.id),
+      tableColumns,
+      dryRun: true
+    });
+
+    // Columns produced by a planned rename are not missing (unless the old column is gone too)
+    const renamedTo = new Set(drift.renamed
+      .filter(rename => !rename.columnMissing)
+      .flatMap(rename => [rename.to, ...rename.companions.map(companion => companion.to)]));
+    const requiredColumns = [...columns, ...this.getManagedColumns()];
+    const missingColumns = SchemaManager.getMissingColumns(requiredColumns, tableColumns.map(column => column.name))
+      .filter(column => !renamedTo.has(column.name));
+
+    return buildSchemaPlan({
+      profile: this.config.profileName,
+      tableName: this.config.tableName,
+      drift,
+      missingColumns,
+      junctionTables: await this.relationSync.getMissingJunctions(schema),
+      typeMismatches: SchemaManager.getTypeMismatches(requiredColumns, tableColumns)
+    });
+  }
+
+  /**
+   * Fetch the Notion database schema and create missing columns
+   * @param {Object} options - Schema sync options
+   * @param {boolean} options.dryRun - Skip column creation and plan the DDL instead
+   * @returns {Promise<Object>} - Notion database schema
+   */
+  async syncSchema(options = {}) {
+    const { dryRun = false } = options;
+    const databaseSchema = await this.loadDatabaseSchema();
+
+    // With autoApplySchema off, DDL only reaches the table through a reviewed plan-schema migration
+    if (!dryRun && !this.config.autoApplySchema) {
+      const plan = await this.planSchema(databaseSchema);
+      if (plan.statements.length > 0) {
+        throw new Error(
+          `Schema changes need a reviewed migration (autoApplySchema is off). ` +
+          `Run \`node index.js plan-schema --profile=${this.config.profileName}\`.\n${formatSchemaPlan(plan)}`
+        );
+      }
+    }
+
+    // Follow renamed, retyped and deleted properties by ID before new columns are added,
+    // so a renamed property keeps its column instead of getting a fresh one
+    const tableColumns = (await this.supabaseService.describeTable(this.config.tableName))?.columns || [];
+    this.lastSchemaDrift = await this.schemaDrift.reconcile({
+      columns: SchemaManager.extractColumnDefinitions(databaseSchema),
+      propertyIds: Object.values(databaseSchema.properties).map(property => property.id),
+      tableColumns,
+      dryRun
+    });
+    this.heldColumns = this.lastSchemaDrift.heldColumns;
+
+    if (dryRun) {
+      // Report the DDL instead of running it; rows are later compared against this catalog
+      this.lastSchemaPlan = await this.planSchema(databaseSchema, { tableColumns, drift: this.lastSchemaDrift });
+      this.tableColumns = tableColumns;
+    } else {
+      // Create missing columns based on Notion schema
+      const columnResult = await this.supabaseService.createMissingColumns(
+        this.config.tableName, 
+        databaseSchema,
+        this.getManagedColumns()
+      );
+      
+      logger.warn('Schema synchronization completed', {
+        tableName: this.config.tableName,
+        created: columnResult.created,
+        existing: columnResult.existing,
+        missing: columnResult.missing,
+        errors: columnResult.errors,
+        summary: columnResult.summary
+      });
+    }
+
+    // Junction tables need the columns above, and the related profile's table, to exist
+    this.lastRelationTables = await this.relationSync.ensureJunctionTables(databaseSchema, { dryRun });
+
+    const hasPeopleJson = Object.values(databaseSchema.properties).some(property =>
+      PEOPLE_TYPES.includes(property.type) && !property.options?.ignore && property.options?.formats?.includes('json'));
+    this.users = hasPeopleJson ? await this.userDirectory.getUsers() : null;
+
+    return databaseSchema;
+  }
+
+  /**
+   * Record a sync run in the run history around a task
+   * @param {string} trigger - Trigger source (cli, api, cron, webhook)
+   * @param {Object} options - Options stored with the run
+   * @param {Function} task - Async function returning a sync result
+   * @returns {Promise<Object>} - Sync result including its runId
+   */
+  async recordRun(trigger, options, task) {
+    const runId = await this.runHistory.startRun({
+      profile: this.config.profileName,
+      databaseId: this.config.notionDatabaseId,
+      tableName: this.config.tableName,
+      trigger,
+      options
+    });
+
+    try {
+      const result = await task();
+      await this.runHistory.finishRun(runId, { result });
+      return { runId, ...result };
+    } catch (error) {
+      await this.runHistory.finishRun(runId, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a task with an AbortSignal bound to the Notion and Supabase services
+   * Unlike timeBudgetMs, which stops at the next checkpoint, the deadline also aborts requests
+   * and retry backoffs in flight, so the run fails with a clear error before its host kills it
+   * @param {Object} options - Signal options
+   * @param {AbortSignal} options.signal - Caller's signal
+   * @param {number} options.deadlineMs - Milliseconds after which the run is aborted
+   * @param {Function} task - Async function running the sync
+   * @returns {Promise<any>} - Task result
+   */
+  async runWithSignal(options, task) {
+    const { signal = null, deadlineMs = null } = options;
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+
+    if (signal?.aborted) {
+      forwardAbort();
+    } else {
+      signal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+    const timer = deadlineMs
+      ? setTimeout(() => controller.abort(new Error(`deadline of ${deadlineMs}ms exceeded`)), parseInt(deadlineMs))
+      : null;
+
+    this.signal = controller.signal;
+    this.notionService.setSignal(this.signal);
+    this.supabaseService.setSignal(this.signal);
+
+    try {
+      return await task();
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+      this.signal = null;
+      this.notionService.setSignal(null);
+      this.supabaseService.setSignal(null);
+    }
+  }
+
   /**
    * Main sync function with incremental logic
+   * @param {Object} options - Sync options (forceFullSync, dryRun, maxPages, trigger, signal, deadlineMs)
+   * @returns {Promise<Object>} - Sync result
    */
   async sync(options = {}) {
+    const { trigger = 'manual', signal = null, ...syncOptions } = options;
+    return await this.recordRun(trigger, syncOptions, () =>
+      this.runWithSignal({ signal, deadlineMs: syncOptions.deadlineMs }, () => this.executeSync(syncOptions))
+    );
+  }
+
+  /**
+   * Run an incremental or full sync
+   * @param {Object} options - Sync options
+   * @returns {Promise<Object>} - Sync result
+   */
+  async executeSync(options = {}) {
     const {
       forceFullSync = false,
       dryRun = false,
-      maxPages = null
+      maxPages = null,
+      resume = false,
+      continuation = null,
+      timeBudgetMs = null
     } = options;
 
     const startTime = new Date();
+    this.rateLimitBaseline = this.notionService.getRateLimitMetrics();
+    const deadline = timeBudgetMs ? startTime.getTime() + parseInt(timeBudgetMs) : null;
+    const errors = [];
     logger.info('Starting sync process', {
+      profile: this.config.profileName,
       databaseId: this.config.notionDatabaseId,
       tableName: this.config.tableName,
       forceFullSync,
       dryRun,
-      maxPages
+      maxPages,
+      resume: resume || Boolean(continuation),
+      timeBudgetMs
     });
 
     try {
       // Get Notion database schema and ensure columns exist
-      const databaseSchema = await this.notionService.getDatabaseSchema(this.config.notionDatabaseId);
-      
-      if (!dryRun) {
-        // Create missing columns based on Notion schema
-        const columnResult = await this.supabaseService.createMissingColumns(
-          this.config.tableName, 
-          databaseSchema
-        );
-        
-        logger.warn('Schema synchronization completed', {
-          tableName: this.config.tableName,
-          created: columnResult.created,
-          existing: columnResult.existing,
-          missing: columnResult.missing,
-          errors: columnResult.errors,
-          summary: columnResult.summary
+      const databaseSchema = await this.syncSchema({ dryRun });
+
+      // Refresh the notion_users table alongside the pages
+      const users = this.config.syncUsers && !dryRun ? await this.userDirectory.sync() : null;
+
+      // Push Supabase edits back to Notion first, so this run's pull picks up the result
+      let push = null;
+      if (this.reverseSync.isEnabled()) {
+        push = await this.reverseSync.push({
+          since: await this.syncStateManager.getLastPushTime(this.config.profileName),
+          databaseSchema,
+          dryRun
         });
+        errors.push(...push.errors.map(error => ({ ...error, stage: 'push' })));
       }
 
-      // Get last sync time for incremental sync
+      // Continue an interrupted run from its checkpoint
+      const checkpoint = (resume || continuation) ? await this.loadCheckpoint(continuation) : null;
+
+      // Get the watermark for incremental sync
+      const watermark = forceFullSync ? null : await this.syncStateManager.getLastSyncTime(this.config.profileName);
       let lastSyncTime = null;
-      if (!forceFullSync) {
-        lastSyncTime = await this.syncStateManager.getLastSyncTime(this.config.notionDatabaseId);
+      if (checkpoint) {
+        // A Notion cursor is only valid for the query that produced it
+        lastSyncTime = checkpoint.since;
+      } else if (!forceFullSync) {
+        lastSyncTime = this.getIncrementalStartTime(watermark);
         if (lastSyncTime) {
-          logger.warn('Incremental sync detected', { lastSyncTime });
+          logger.warn('Incremental sync detected', { watermark, lastSyncTime });
         } else {
           logger.warn('Full sync required - no previous sync found');
         }
       }
 
-      // Fetch pages from Notion
-      const notionPages = await this.fetchNotionPages(lastSyncTime, maxPages);
-      
-      if (notionPages.length === 0) {
-        logger.info('No pages to sync');
-        return this.createSyncResult(startTime, 0, 0, 0);
+      // Stream pages from Notion one query page at a time: transform, fetch content and upsert
+      // each batch before requesting the next, so memory stays bounded by the batch size
+      const totals = { fetched: 0, transformed: 0, synced: 0, unchanged: 0, links: 0 };
+      const assets = { uploaded: 0, reused: 0, skipped: 0 };
+      const rowDiff = { insert: [], update: [], unchanged: [] };
+      const removedPageIds = [];
+      const runStartedAt = checkpoint?.startedAt || startTime.toISOString();
+      // Pages re-fetched from the overlap window are skipped when their stored row is current
+      const skipUnchanged = Boolean(lastSyncTime);
+      let lastEditedTime = checkpoint?.lastEditedTime || null;
+      let pagesProcessed = checkpoint?.pages || 0;
+      let continuationCursor = null;
+
+      const batches = this.streamNotionPages({
+        lastSyncTime,
+        maxPages,
+        startCursor: checkpoint?.cursor
+      });
+
+      for await (const batch of batches) {
+        const batchStartedAt = Date.now();
+        const batchResult = await this.processPageBatch(batch.pages, { dryRun, errors, skipUnchanged });
+        totals.fetched += batchResult.fetched;
+        totals.transformed += batchResult.transformed;
+        totals.synced += batchResult.synced;
+        totals.unchanged += batchResult.unchanged;
+        totals.links += batchResult.links;
+        for (const [key, count] of Object.entries(batchResult.assets)) {
+          assets[key] += count;
+        }
+        for (const [key, rows] of Object.entries(batchResult.diff || {})) {
+          rowDiff[key].push(...rows);
+        }
+        removedPageIds.push(...batchResult.removedPageIds);
+
+        pagesProcessed += batch.pages.length;
+        lastEditedTime = batch.pages.reduce(
+          (latest, page) => latestTimestamp(latest, page.last_edited_time),
+          lastEditedTime
+        );
+
+        if (!batch.nextCursor) continue;
+
+        // The batch is committed: a run that dies from here on resumes after it
+        if (!dryRun) {
+          await this.syncStateManager.saveCheckpoint(this.config.profileName, this.config.notionDatabaseId, {
+            cursor: batch.nextCursor,
+            since: lastSyncTime,
+            startedAt: runStartedAt,
+            lastEditedTime,
+            pages: pagesProcessed
+          });
+        }
+
+        // Stop while another batch of the same duration would still fit in the time budget
+        if (deadline && Date.now() + (Date.now() - batchStartedAt) >= deadline) {
+          continuationCursor = batch.nextCursor;
+          logger.warn('Time budget reached, stopping sync at checkpoint', {
+            profile: this.config.profileName,
+            pagesProcessed,
+            timeBudgetMs
+          });
+          break;
+        }
       }
 
-      // Transform pages
-      const transformedPages = await this.transformPages(notionPages);
-      
-      if (transformedPages.length === 0) {
-        logger.warn('No valid pages after transformation');
-        return this.createSyncResult(startTime, notionPages.length, 0, 0);
+      // Propagate archived, trashed and deleted pages according to the deletion policy.
+      // A full ID comparison is skipped when maxPages limits the run or the run stops early.
+      const deletions = await this.deletionReconciler.reconcile({
+        dryRun,
+        removedPageIds,
+        fullScan: !maxPages && !continuationCursor
+      });
+
+      let relations = null;
+      if (this.relationSync.isEnabled()) {
+        // Links written before their related page was synced point at it once it is
+        const linkCheck = dryRun
+          ? { resolved: 0, dangling: 0, errors: [] }
+          : await this.relationSync.resolveDanglingLinks();
+        errors.push(
+          ...(this.lastRelationTables?.errors || []).map(error => ({ ...error, stage: 'relations' })),
+          ...linkCheck.errors
+        );
+        relations = {
+          createdTables: this.lastRelationTables?.created || [],
+          links: totals.links,
+          resolved: linkCheck.resolved,
+          dangling: linkCheck.dangling
+        };
       }
 
-      // Sync to Supabase
-      let syncResult;
-      if (dryRun) {
-        logger.info('Dry run mode - skipping database operations', {
-          pagesToSync: transformedPages.length
-        });
-        syncResult = { inserted: 0, updated: transformedPages.length, errors: [] };
-      } else {
-        syncResult = await this.syncToSupabase(transformedPages);
+      if (continuationCursor) {
+        const result = this.createSyncResult(
+          startTime,
+          totals.fetched,
+          totals.transformed,
+          totals.synced,
+          {
+            complete: false,
+            resumed: Boolean(checkpoint),
+            pagesProcessed,
+            unchanged: totals.unchanged,
+            // Dry runs do not save checkpoints, so there is nothing to continue from
+            continuation: dryRun
+              ? null
+              : SyncStateManager.encodeContinuation(this.config.profileName, continuationCursor),
+            schemaDrift: this.lastSchemaDrift,
+            relations,
+            assets: this.assetMirror.isEnabled() ? assets : null,
+            users,
+            deletions,
+            push,
+            diff: dryRun ? this.createDryRunDiff(rowDiff) : undefined,
+            errors
+          }
+        );
+
+        logger.info('Sync stopped before completion', result);
+        return result;
       }
 
-      // Update sync state
+      // Advance the watermark to the newest edit actually processed (never to the clock), so
+      // pages edited while this run was in progress are picked up by the next one
       if (!dryRun) {
         await this.syncStateManager.updateLastSyncTime(
+          this.config.profileName,
           this.config.notionDatabaseId,
-          startTime.toISOString()
+          latestTimestamp(lastEditedTime, watermark),
+          // Rows touched by this run's pull are re-checked next time, but an unchanged diff is never pushed
+          this.reverseSync.isEnabled() ? { last_push_time: startTime.toISOString() } : {}
         );
       }
 
       const finalResult = this.createSyncResult(
         startTime,
-        notionPages.length,
-        transformedPages.length,
-        syncResult.inserted + syncResult.updated
+        totals.fetched,
+        totals.transformed,
+        totals.synced,
+        {
+          complete: true,
+          resumed: Boolean(checkpoint),
+          pagesProcessed,
+          unchanged: totals.unchanged,
+          watermark: latestTimestamp(lastEditedTime, watermark),
+          schemaDrift: this.lastSchemaDrift,
+          relations,
+          assets: this.assetMirror.isEnabled() ? assets : null,
+          users,
+          deletions,
+          push,
+          diff: dryRun ? this.createDryRunDiff(rowDiff) : undefined,
+          errors
+        }
       );
 
       logger.info('Sync completed successfully', finalResult);
@@ -226,46 +694,458 @@ class NotionSupabaseSync {
   }
 
   /**
-   * Fetch pages from Notion with incremental logic
+   * Refuse to sync when two properties (or a property and a managed column) map to the same column
+   * @param {Object} databaseSchema - Notion database schema with property options applied
+   */
+  checkColumnMapping(databaseSchema) {
+    const columns = SchemaManager.extractColumnDefinitions(databaseSchema);
+    const collisions = SchemaManager.findColumnCollisions(columns, this.getManagedColumns());
+
+    if (collisions.length > 0) {
+      const details = collisions.map(collision => `${collision.column} (${collision.sources.join(', ')})`);
+      throw new Error(`Column name collisions: ${details.join('; ')}. Set an explicit column in the profile's properties config.`);
+    }
+
+    // Built-in columns are overwritten by a property with the same column name
+    const overridden = columns.filter(column => SchemaManager.BASE_COLUMNS.includes(column.name));
+    if (overridden.length > 0) {
+      logger.warn('Properties override built-in columns', {
+        profile: this.config.profileName,
+        columns: overridden.map(column => `${column.name} (${column.originalName})`)
+      });
+    }
+  }
+
+  /**
+   * Columns maintained by the sync itself rather than derived from Notion properties
+   * @returns {Array} - Column definitions
+   */
+  getManagedColumns() {
+    return [
+      ...DeletionReconciler.getRequiredColumns(this.config.deletionPolicy),
+      ...this.pageContentSync.getColumnDefinitions()
+    ];
+  }
+
+  /**
+   * Sync specific pages by ID instead of querying the whole database
+   * Used by the webhook receiver for near-real-time updates
+   * @param {Array<string>} pageIds - Notion page IDs
+   * @param {Object} options - Sync options
+   * @param {string} options.trigger - Trigger source recorded in the run history
+   * @param {AbortSignal} options.signal - Aborts the run
+   * @param {number} options.deadlineMs - Milliseconds after which the run is aborted
+   * @returns {Promise<Object>} - Sync result
+   */
+  async syncPages(pageIds, options = {}) {
+    const { trigger = 'webhook', signal = null, deadlineMs = null } = options;
+    return await this.recordRun(trigger, { pageIds }, () =>
+      this.runWithSignal({ signal, deadlineMs }, () => this.executePageSync(pageIds))
+    );
+  }
+
+  /**
+   * Fetch, transform and upsert specific pages
+   * @param {Array<string>} pageIds - Notion page IDs
+   * @returns {Promise<Object>} - Sync result
    */
-  async fetchNotionPages(lastSyncTime, maxPages) {
+  async executePageSync(pageIds) {
+    const startTime = new Date();
+    this.rateLimitBaseline = this.notionService.getRateLimitMetrics();
+    const errors = [];
+    logger.info('Syncing individual pages', {
+      profile: this.config.profileName,
+      tableName: this.config.tableName,
+      pageCount: pageIds.length
+    });
+
     try {
-      const options = {
-        pageSize: this.config.batchSize,
-        lastSyncTime: lastSyncTime
-      };
+      await this.syncSchema();
 
-      logger.info('Fetching pages from Notion', {
-        databaseId: this.config.notionDatabaseId,
-        lastSyncTime,
-        maxPages
+      const { pages: fetchedPages, errors: fetchErrors } = await this.notionService.getPagesSettled(pageIds);
+      const fetchFailures = fetchErrors.map(failure => ({
+        pageId: failure.pageId,
+        stage: 'fetch',
+        error: `Page could not be retrieved: ${failure.error}`,
+        attempts: failure.attempts
+      }));
+      errors.push(...fetchFailures);
+
+      // processPageBatch only quarantines its own failures; pages that never arrived have no payload
+      await this.quarantineFailures(fetchFailures, []);
+
+      const batchResult = await this.processPageBatch(fetchedPages, { errors });
+      const deletions = await this.deletionReconciler.reconcile({
+        removedPageIds: batchResult.removedPageIds,
+        fullScan: false
       });
 
-      const pages = await this.notionService.getAllDatabasePages(
-        this.config.notionDatabaseId,
-        options
+      return this.createSyncResult(
+        startTime,
+        batchResult.fetched,
+        batchResult.transformed,
+        batchResult.synced,
+        { deletions, errors }
       );
+    } catch (error) {
+      logger.error('Page sync failed', { error: error.message, pageIds });
+      throw error;
+    }
+  }
 
-      // Apply max pages limit if specified
-      const limitedPages = maxPages ? pages.slice(0, maxPages) : pages;
+  /**
+   * Write per-page pipeline failures to the dead-letter table
+   * @param {Array<Object>} errors - Collected { pageId, stage, error } entries
+   * @param {Array<Object>} notionPages - Raw pages, stored as the failure payload
+   * @returns {Promise<void>}
+   */
+  async quarantineFailures(errors, notionPages) {
+    const pagesById = new Map(notionPages.map(page => [page.id, page]));
 
-      logger.info('Pages fetched from Notion', {
-        total: pages.length,
-        limited: limitedPages.length,
-        maxPages
+    const failures = errors
+      .filter(error => error.pageId && QUARANTINE_STAGES.includes(error.stage))
+      .map(error => ({
+        pageId: error.pageId,
+        stage: error.stage,
+        error: error.error,
+        payload: pagesById.get(error.pageId) || null
+      }));
+
+    await this.deadLetterQueue.quarantine(this.config.profileName, this.config.tableName, failures);
+  }
+
+  /**
+   * Reprocess pages quarantined in the dead-letter table
+   * @returns {Promise<Object>} - { retried, resolved, stillFailing, result }
+   */
+  async retryFailed() {
+    const pending = await this.deadLetterQueue.getPending(this.config.profileName);
+    const pageIds = [...new Set(pending.map(entry => entry.page_id))];
+
+    if (pageIds.length === 0) {
+      logger.info('No quarantined pages to retry', { profile: this.config.profileName });
+      return { retried: 0, resolved: 0, stillFailing: 0, result: null };
+    }
+
+    logger.info('Retrying quarantined pages', {
+      profile: this.config.profileName,
+      count: pageIds.length
+    });
+
+    // Pages that fail again are re-quarantined by syncPages with an incremented attempt count
+    const result = await this.syncPages(pageIds, { trigger: 'retry' });
+    const failedIds = new Set(result.errors.map(error => normalizeNotionId(error.pageId)));
+    const resolvedIds = pageIds.filter(pageId => !failedIds.has(normalizeNotionId(pageId)));
+
+    await this.deadLetterQueue.resolve(this.config.profileName, resolvedIds);
+
+    return {
+      retried: pageIds.length,
+      resolved: resolvedIds.length,
+      stillFailing: pageIds.length - resolvedIds.length,
+      result
+    };
+  }
+
+  /**
+   * Apply the deletion policy to pages deleted in Notion
+   * @param {Array<string>} pageIds - Notion page IDs
+   * @returns {Promise<Object|null>} - Deletion result, or null when the policy is 'none'
+   */
+  async removePages(pageIds) {
+    return await this.deletionReconciler.reconcile({
+      removedPageIds: pageIds,
+      fullScan: false
+    });
+  }
+
+  /**
+   * Load the checkpoint to resume from
+   * @param {string|null} continuation - Continuation token returned by a run that stopped early
+   * @returns {Promise<Object|null>} - Checkpoint, or null when there is nothing to resume
+   */
+  async loadCheckpoint(continuation = null) {
+    const checkpoint = await this.syncStateManager.getCheckpoint(this.config.profileName);
+
+    if (continuation) {
+      const token = SyncStateManager.decodeContinuation(continuation);
+      if (!token || token.profile !== this.config.profileName || token.cursor !== checkpoint?.cursor) {
+        throw new Error('Continuation token does not match the saved checkpoint for this profile');
+      }
+    }
+
+    if (checkpoint) {
+      logger.info('Resuming sync from checkpoint', {
+        profile: this.config.profileName,
+        since: checkpoint.since,
+        pagesProcessed: checkpoint.pages,
+        checkpointedAt: checkpoint.updatedAt
+      });
+    } else {
+      logger.warn('No sync checkpoint found, running a regular sync', { profile: this.config.profileName });
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Stream pages from Notion with incremental logic, one query page per iteration
+   * Pages are sorted by last_edited_time so a checkpoint never skips older edits
+   * @param {Object} options - Stream options
+   * @param {string|null} options.lastSyncTime - Only pages edited after this time
+   * @param {number|string|null} options.maxPages - Maximum number of pages to yield
+   * @param {string} options.startCursor - Notion cursor to continue a previous query from
+   * @returns {AsyncGenerator<Object>} - { pages, nextCursor }; nextCursor is null after the last
+   *   batch and for a batch cut short by maxPages
+   */
+  async *streamNotionPages(options = {}) {
+    const { lastSyncTime = null, maxPages = null, startCursor = undefined } = options;
+    const pageLimit = maxPages ? parseInt(maxPages) : null;
+    let yielded = 0;
+
+    logger.info('Fetching pages from Notion', {
+      databaseId: this.config.notionDatabaseId,
+      lastSyncTime,
+      maxPages: pageLimit,
+      resuming: Boolean(startCursor)
+    });
+
+    try {
+      const batches = this.notionService.iterateDatabasePages(this.config.notionDatabaseId, {
+        pageSize: this.config.batchSize,
+        lastSyncTime,
+        startCursor: startCursor || undefined,
+        sorts: [{ timestamp: 'last_edited_time', direction: 'ascending' }]
       });
 
-      return limitedPages;
+      for await (const batch of batches) {
+        const pages = pageLimit ? batch.results.slice(0, pageLimit - yielded) : batch.results;
+        const truncated = pages.length < batch.results.length;
+        yielded += pages.length;
+
+        if (pages.length > 0) {
+          yield {
+            pages,
+            nextCursor: batch.has_more && !truncated ? batch.next_cursor : null
+          };
+        }
+
+        if (pageLimit && yielded >= pageLimit) {
+          break;
+        }
+      }
+
+      logger.info('Pages fetched from Notion', {
+        total: yielded,
+        maxPages: pageLimit
+      });
     } catch (error) {
       logger.error('Error fetching Notion pages', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Run one batch of Notion pages through the pipeline: transform, page content, upsert
+   * @param {Array} fetchedPages - Raw Notion pages
+   * @param {Object} options - Batch options
+   * @param {boolean} options.dryRun - Skip database writes
+   * @param {Array} options.errors - Receives per-page errors
+   * @param {boolean} options.skipUnchanged - Skip pages whose stored row has the same last_edited_time
+   * @returns {Promise<Object>} - { fetched, transformed, synced, unchanged, links, dangling, assets, removedPageIds }
+   */
+  async processPageBatch(fetchedPages, options = {}) {
+    const { dryRun = false, errors = [], skipUnchanged = false } = options;
+
+    const batchErrors = [];
+    const livePages = fetchedPages.filter(page => !isPageRemoved(page));
+    const removedPageIds = fetchedPages.filter(isPageRemoved).map(page => page.id);
+    const changedPages = skipUnchanged ? await this.filterUnchangedPages(livePages) : livePages;
+
+    // Query results hold at most 25 relations per property; fetch the rest before transforming
+    const { pages: expandedPages, errors: relationErrors } = await this.relationSync.expandTruncatedRelations(changedPages);
+    batchErrors.push(...relationErrors);
+
+    // Notion file URLs expire after about an hour; store Storage URLs instead. Dry runs upload
+    // nothing but still use the URLs of files mirrored before, so the diff matches a real run
+    const { pages: notionPages, errors: assetErrors, stats: assets } = dryRun
+      ? await this.assetMirror.previewPages(expandedPages)
+      : await this.assetMirror.mirrorPages(expandedPages);
+    batchErrors.push(...assetErrors);
+
+    // Transform pages, then fetch page bodies for the changed pages
+    const { rows: transformedPages, errors: contentErrors } = await this.pageContentSync.attachContent(
+      await this.transformPages(notionPages, batchErrors)
+    );
+    batchErrors.push(...contentErrors.map(error => ({ ...error, stage: 'content' })));
+
+    // Pages that failed because the run was aborted are not written or quarantined
+    RetryManager.throwIfAborted(this.signal);
+
+    let synced = 0;
+    let diff = null;
+    const links = { links: 0, dangling: 0 };
+    if (transformedPages.length > 0) {
+      if (dryRun) {
+        diff = await this.diffAgainstTable(transformedPages);
+        logger.info('Dry run mode - skipping database operations', {
+          pagesToSync: transformedPages.length,
+          insert: diff.insert.length,
+          update: diff.update.length,
+          unchanged: diff.unchanged.length
+        });
+        synced = diff.insert.length + diff.update.length;
+      } else {
+        const syncResult = await this.syncToSupabase(transformedPages);
+        batchErrors.push(...syncResult.errors);
+        synced = syncResult.inserted + syncResult.updated;
+
+        // Links need the source rows, so pages whose upsert failed are left out
+        const failedIds = new Set(syncResult.errors.map(error => error.pageId));
+        const upsertedIds = new Set(transformedPages.map(row => row.notion_id).filter(pageId => !failedIds.has(pageId)));
+        const linkResult = await this.relationSync.writeLinks(notionPages.filter(page => upsertedIds.has(page.id)));
+        batchErrors.push(...linkResult.errors);
+        links.links = linkResult.links;
+        links.dangling = linkResult.dangling;
+      }
+    }
+
+    // Pages skipped for an unchanged last_edited_time are unchanged rows of the diff too
+    if (dryRun && changedPages.length < livePages.length) {
+      const changedIds = new Set(changedPages.map(page => page.id));
+      diff = diff || { insert: [], update: [], unchanged: [] };
+      diff.unchanged.push(...livePages.filter(page => !changedIds.has(page.id)).map(page => page.id));
+    }
+
+    RetryManager.throwIfAborted(this.signal);
+    if (!dryRun) {
+      await this.quarantineFailures(batchErrors, changedPages);
+    }
+    errors.push(...batchErrors);
+
+    return {
+      fetched: fetchedPages.length,
+      transformed: transformedPages.length,
+      synced,
+      unchanged: livePages.length - changedPages.length,
+      links: links.links,
+      dangling: links.dangling,
+      assets,
+      diff,
+      removedPageIds
+    };
+  }
+
+  /**
+   * Drop pages whose stored row already has the page's last_edited_time
+   * @param {Array} pages - Live Notion pages
+   * @returns {Promise<Array>} - Pages that are new or changed since they were stored
+   */
+  async filterUnchangedPages(pages) {
+    if (pages.length === 0) return pages;
+
+    const storedTimes = await this.getStoredEditTimes(pages.map(page => page.id));
+    const changedPages = pages.filter(page => {
+      const storedTime = storedTimes.get(page.id);
+      return !storedTime || new Date(storedTime).getTime() !== new Date(page.last_edited_time).getTime();
+    });
+
+    if (changedPages.length < pages.length) {
+      logger.debug('Skipping unchanged pages', {
+        tableName: this.config.tableName,
+        unchanged: pages.length - changedPages.length
+      });
+    }
+
+    return changedPages;
+  }
+
+  /**
+   * Get the stored last_edited_time of synced rows
+   * @param {Array<string>} pageIds - Notion page IDs
+   * @returns {Promise<Map<string, string>>} - notion_id → last_edited_time
+   */
+  async getStoredEditTimes(pageIds) {
+    const rows = await this.supabaseService.getData(this.config.tableName, {
+      select: 'notion_id, last_edited_time',
+      filter: { notion_id: { operator: 'in', value: pageIds } }
+    });
+
+    return new Map(rows.map(row => [row.notion_id, row.last_edited_time]));
+  }
+
+  /**
+   * Compute the start of the incremental query window from the stored watermark
+   * @param {string|null} watermark - Newest last_edited_time processed by the previous sync
+   * @returns {string|null} - ISO timestamp, or null for a full sync
+   */
+  getIncrementalStartTime(watermark) {
+    if (!watermark) return null;
+
+    const overlapMs = this.config.watermarkOverlapSeconds * 1000;
+    return new Date(new Date(watermark).getTime() - overlapMs).toISOString();
+  }
+
+  /**
+   * Compare every Notion page with its stored row without writing anything
+   * Reports rows that are older than their page, and pages that were never synced
+   * @returns {Promise<Object>} - { checked, inSync, stale, missing }
+   */
+  async verify() {
+    const report = { checked: 0, inSync: true, stale: [], missing: [] };
+
+    logger.info('Verifying synced rows against Notion', {
+      profile: this.config.profileName,
+      tableName: this.config.tableName
+    });
+
+    try {
+      const batches = this.notionService.iterateDatabasePages(this.config.notionDatabaseId, {
+        pageSize: this.config.batchSize
+      });
+
+      for await (const batch of batches) {
+        const storedTimes = await this.getStoredEditTimes(batch.results.map(page => page.id));
+
+        for (const page of batch.results) {
+          const storedTime = storedTimes.get(page.id);
+          if (!storedTime) {
+            report.missing.push(page.id);
+          } else if (new Date(page.last_edited_time) > new Date(storedTime)) {
+            report.stale.push({
+              pageId: page.id,
+              notionLastEditedTime: page.last_edited_time,
+              storedLastEditedTime: storedTime
+            });
+          }
+        }
+
+        report.checked += batch.results.length;
+      }
+
+      report.inSync = report.stale.length === 0 && report.missing.length === 0;
+
+      logger.info('Verification completed', {
+        profile: this.config.profileName,
+        checked: report.checked,
+        stale: report.stale.length,
+        missing: report.missing.length
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Verification failed', { error: error.message, profile: this.config.profileName });
+      throw error;
+    }
+  }
+
   /**
    * Transform Notion pages to Supabase format
+   * @param {Array} notionPages - Raw Notion pages
+   * @param {Array} errorCollector - Receives per-page transformation errors
+   * @returns {Promise<Array>} - Transformed rows
    */
-  async transformPages(notionPages) {
+  async transformPages(notionPages, errorCollector = []) {
     logger.info('Transforming pages', { count: notionPages.length });
 
     const transformedPages = [];
@@ -273,19 +1153,24 @@ class NotionSupabaseSync {
 
     for (const page of notionPages) {
       try {
-        const transformedPage = transformNotionPage(page);
+        const transformedPage = transformNotionPage(page, this.config.properties, { users: this.users });
+        for (const column of this.heldColumns) {
+          delete transformedPage[column];
+        }
         
         if (validateTransformedData(transformedPage)) {
           transformedPages.push(transformedPage);
         } else {
           errors.push({
             pageId: page.id,
+            stage: 'transform',
             error: 'Invalid transformed data'
           });
         }
       } catch (error) {
         errors.push({
           pageId: page.id,
+          stage: 'transform',
           error: error.message
         });
         logger.error('Error transforming page', {
@@ -310,6 +1195,7 @@ class NotionSupabaseSync {
       errors: errors.length
     });
 
+    errorCollector.push(...errors);
     return transformedPages;
   }
 
@@ -322,14 +1208,30 @@ class NotionSupabaseSync {
       pageCount: transformedPages.length
     });
 
+    const rows = this.getWriteRows(transformedPages);
+
     try {
-      const result = await this.supabaseService.upsertData(
-        this.config.tableName,
-        transformedPages,
-        {
-          onConflict: 'notion_id'
-        }
-      );
+      const result = { inserted: 0, updated: 0, errors: [] };
+
+      // Upsert in chunks so a single request never carries a whole batch of large content rows
+      for (let i = 0; i < rows.length; i += this.config.upsertChunkSize) {
+        // Rows that fail on their own are split out so the rest of the chunk is still committed
+        const chunkResult = await this.supabaseService.upsertWithIsolation(
+          this.config.tableName,
+          rows.slice(i, i + this.config.upsertChunkSize),
+          {
+            onConflict: 'notion_id'
+          }
+        );
+
+        result.inserted += chunkResult.inserted;
+        result.updated += chunkResult.updated;
+        result.errors.push(...chunkResult.failed.map(failure => ({
+          pageId: failure.record.notion_id,
+          stage: 'upsert',
+          error: failure.error
+        })));
+      }
 
       logger.info('Supabase sync completed', {
         tableName: this.config.tableName,
@@ -349,10 +1251,55 @@ class NotionSupabaseSync {
     }
   }
 
+  /**
+   * Rows as they are upserted for transformed pages
+   * @param {Array} transformedPages - Transformed rows
+   * @returns {Array} - Rows to upsert
+   */
+  getWriteRows(transformedPages) {
+    // Pages restored in Notion must lose their soft-delete marker
+    return this.config.deletionPolicy === 'soft-delete'
+      ? transformedPages.map(page => ({ ...page, deleted_at: null }))
+      : transformedPages;
+  }
+
+  /**
+   * Compare transformed pages with their stored rows without writing anything
+   * @param {Array} transformedPages - Transformed rows
+   * @returns {Promise<Object>} - { insert, update, unchanged } from diffRows
+   */
+  async diffAgainstTable(transformedPages) {
+    const rows = this.getWriteRows(transformedPages);
+    const storedRows = await this.supabaseService.getData(this.config.tableName, {
+      select: '*',
+      filter: { notion_id: { operator: 'in', value: rows.map(row => row.notion_id) } }
+    });
+
+    return diffRows(rows, storedRows, new Map(this.tableColumns.map(column => [column.name, column.type])));
+  }
+
+  /**
+   * Dry-run report: the DDL the sync would run and the row changes it would write
+   * @param {Object} rowDiff - Row diff accumulated over the run's batches
+   * @returns {Object} - { ddl, schemaChanges, counts, insert, update, unchanged }
+   */
+  createDryRunDiff(rowDiff) {
+    return {
+      ddl: this.lastSchemaPlan?.statements || [],
+      schemaChanges: this.lastSchemaPlan?.changes || [],
+      counts: {
+        insert: rowDiff.insert.length,
+        update: rowDiff.update.length,
+        unchanged: rowDiff.unchanged.length
+      },
+      ...rowDiff
+    };
+  }
+
   /**
    * Create sync result object
    */
-  createSyncResult(startTime, totalFetched, totalTransformed, totalSynced) {
+  createSyncResult(startTime, totalFetched, totalTransformed, totalSynced, details = {}) {
     const endTime = new Date();
     const duration = endTime.getTime() - startTime.getTime();
 
@@ -370,10 +1317,19 @@ class NotionSupabaseSync {
         syncRate: totalTransformed > 0 ? (totalSynced / totalTransformed * 100).toFixed(2) : 0
       },
       config: {
+        profile: this.config.profileName,
         databaseId: this.config.notionDatabaseId,
         tableName: this.config.tableName,
-        batchSize: this.config.batchSize
-      }
+        batchSize: this.config.batchSize,
+        upsertChunkSize: this.config.upsertChunkSize
+      },
+      // Notion requests of this run (and of concurrent runs sharing the integration token)
+      rateLimit: this.notionService.getRateLimitMetrics(this.rateLimitBaseline),
+      circuits: {
+        notion: this.notionService.getCircuitStatus(),
+        supabase: this.supabaseService.getCircuitStatus()
+      },
+      ...details
     };
   }
 
@@ -382,7 +1338,7 @@ class NotionSupabaseSync {
    */
   async getSyncStats() {
     try {
-      const stats = await this.syncStateManager.getSyncStats(this.config.notionDatabaseId);
+      const stats = await this.syncStateManager.getSyncStats(this.config.profileName);
       
       // Get table row count
       const tableData = await this.supabaseService.getData(this.config.tableName, {
@@ -390,9 +1346,27 @@ class NotionSupabaseSync {
         limit: 1
       });
 
+      // Recent runs from the run history
+      const recentRuns = await this.runHistory.getRecentRuns({
+        profile: this.config.profileName,
+        limit: 10
+      });
+
       return {
         ...stats,
-        tableRowCount: tableData.length > 0 ? tableData[0].count : 0
+        tableRowCount: tableData.length > 0 ? tableData[0].count : 0,
+        lastRun: recentRuns[0] || null,
+        lastSuccessfulRun: recentRuns.find(run => run.status === 'success') || null,
+        recentRuns: recentRuns.map(run => ({
+          id: run.id,
+          trigger: run.trigger_source,
+          status: run.status,
+          startedAt: run.started_at,
+          durationMs: run.duration_ms,
+          totalFetched: run.total_fetched,
+          totalSynced: run.total_synced,
+          errors: Array.isArray(run.errors) ? run.errors.length : 0
+        }))
       };
     } catch (error) {
       logger.error('Error getting sync stats', { error: error.message });
@@ -401,11 +1375,11 @@ class NotionSupabaseSync {
   }
 
   /**
-   * Clean up old sync records
+   * Prune old rows from the sync run history
    */
   async cleanup(daysToKeep = 30) {
     try {
-      const result = await this.syncStateManager.cleanupOldRecords(daysToKeep);
+      const result = await this.runHistory.pruneRuns(daysToKeep, this.config.profileName);
       logger.info('Cleanup completed', { daysToKeep, success: result });
       return result;
     } catch (error) {
@@ -415,55 +1389,117 @@ class NotionSupabaseSync {
   }
 }
 
+/**
+ * Read a --name=value style argument
+ * @param {Array<string>} args - CLI arguments
+ * @param {string} name - Argument name including leading dashes
+ * @returns {string|undefined} - Argument value
+ */
+function getArgValue(args, name) {
+  return args.find(arg => arg.startsWith(`${name}=`))?.split('=')[1];
+}
+
 /**
  * Main execution function
  */
 async function main() {
   const args = process.argv.slice(2);
   const command = args[0] || 'sync';
+  const profileName = getArgValue(args, '--profile') || null;
+  const jsonOutput = args.includes('--json');
+
+  // Keep stdout for the result document, e.g. `sync --dry-run --json > diff.json`
+  if (jsonOutput) {
+    logger.logToStderr();
+  }
 
   try {
-    const sync = new NotionSupabaseSync();
-    
+    let results;
+
     switch (command) {
       case 'sync':
-        await sync.initialize();
-        const result = await sync.sync({
+        results = await NotionSupabaseSync.runProfiles(profileName, sync => sync.sync({
+          trigger: 'cli',
           forceFullSync: args.includes('--full'),
           dryRun: args.includes('--dry-run'),
-          maxPages: args.find(arg => arg.startsWith('--max-pages='))?.split('=')[1]
-        });
-        console.log('Sync completed:', JSON.stringify(result, null, 2));
+          resume: args.includes('--resume'),
+          maxPages: getArgValue(args, '--max-pages'),
+          deadlineMs: getArgValue(args, '--deadline-ms')
+        }));
+        if (jsonOutput) {
+          console.log(JSON.stringify(results, null, 2));
+        } else {
+          console.log('Sync completed:', JSON.stringify(results, null, 2));
+        }
         break;
 
       case 'stats':
-        await sync.initialize();
-        const stats = await sync.getSyncStats();
-        console.log('Sync stats:', JSON.stringify(stats, null, 2));
+        results = await NotionSupabaseSync.runProfiles(profileName, sync => sync.getSyncStats());
+        console.log('Sync stats:', JSON.stringify(results, null, 2));
         break;
 
       case 'cleanup':
-        await sync.initialize();
-        const days = args.find(arg => arg.startsWith('--days='))?.split('=')[1] || 30;
-        const cleanupResult = await sync.cleanup(parseInt(days));
-        console.log('Cleanup completed:', cleanupResult);
+        const days = getArgValue(args, '--days') || 30;
+        results = await NotionSupabaseSync.runProfiles(profileName, sync => sync.cleanup(parseInt(days)));
+        console.log('Cleanup completed:', JSON.stringify(results, null, 2));
+        break;
+
+      case 'retry-failed':
+        results = await NotionSupabaseSync.runProfiles(profileName, sync => sync.retryFailed());
+        console.log('Retry completed:', JSON.stringify(results, null, 2));
+        break;
+
+      case 'verify':
+        results = await NotionSupabaseSync.runProfiles(profileName, sync => sync.verify());
+        console.log('Verification completed:', JSON.stringify(results, null, 2));
+
+        // Out-of-date rows fail the command so it can gate scheduled checks
+        if (results.some(result => result.success && !result.result.inSync)) {
+          process.exitCode = 1;
+        }
+        break;
+
+      case 'plan-schema':
+        results = await NotionSupabaseSync.runProfiles(profileName, async sync => {
+          const plan = await sync.planSchema();
+          console.log(formatSchemaPlan(plan));
+
+          return {
+            changes: plan.changes.length,
+            review: plan.review.length + plan.typeMismatches.length,
+            migration: writeMigration(plan)
+          };
+        });
+        console.log('Schema plan completed:', JSON.stringify(results, null, 2));
+        break;
+
+      case 'sync-users':
+        results = await NotionSupabaseSync.runProfiles(profileName, sync => sync.userDirectory.sync());
+        console.log('User sync completed:', JSON.stringify(results, null, 2));
         break;
 
       case 'refresh-schema':
-        await sync.initialize();
-        const refreshResult = await sync.refreshSchema();
-        console.log('Schema refresh completed:', refreshResult);
+        results = await NotionSupabaseSync.runProfiles(profileName, sync => sync.refreshSchema());
+        console.log('Schema refresh completed:', JSON.stringify(results, null, 2));
         break;
 
       default:
-        console.log('Usage: node index.js [sync|stats|cleanup|refresh-schema] [options]');
+        console.log('Usage: node index.js [sync|stats|cleanup|retry-failed|verify|plan-schema|sync-users|refresh-schema] [options]');
         console.log('Options:');
+        console.log('  --profile=NAME Run a single sync profile (default: all profiles)');
         console.log('  --full        Force full sync');
-        console.log('  --dry-run     Run without making changes');
+        console.log('  --dry-run     Run without making changes, reporting the row diff and DDL');
+        console.log('  --json        Print only the sync result as JSON (logs go to stderr)');
+        console.log('  --resume      Continue an interrupted sync from its checkpoint');
         console.log('  --max-pages=N Limit number of pages to sync');
-        console.log('  --days=N      Days to keep for cleanup (default: 30)');
+        console.log('  --deadline-ms=N Abort requests and retries once N ms have passed');
+        console.log('  --days=N      Days of run history to keep for cleanup (default: 30)');
         break;
     }
+
+    if (results && results.some(result => !result.success)) {
+      process.exit(1);
+    }
   } catch (error) {
     logger.error('Application error', { error: error.message });
     console.error('Error:', error.message);
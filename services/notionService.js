@@ -1,14 +1,79 @@
 const { Client } = require('@notionhq/client');
 const logger = require('../config/logger');
 const RetryManager = require('../utils/retry');
+const RateLimiter = require('../utils/rateLimiter');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { mapWithConcurrency, DEFAULT_CONCURRENCY } = require('../utils/concurrency');
 
 /**
  * Notion API service for database operations
  */
 class NotionService {
   constructor(token) {
-    this.client = new Client({ auth: token });
+    // The run's signal is passed to every fetch, so an aborted run also cancels requests in flight
+    this.client = new Client({
+      auth: token,
+      fetch: (url, init) => fetch(url, { ...init, signal: this.signal || undefined })
+    });
     this.retryManager = new RetryManager();
+    // Every service for the same integration draws from one request budget
+    this.rateLimiter = RateLimiter.shared(token, {
+      requestsPerSecond: process.env.NOTION_REQUESTS_PER_SECOND,
+      burst: process.env.NOTION_RATE_LIMIT_BURST
+    });
+    // Per-page fan-out (page fetches, block trees, page content) runs this many requests at a time
+    this.concurrency = parseInt(process.env.NOTION_CONCURRENCY || DEFAULT_CONCURRENCY);
+    // While Notion is down, calls fail fast instead of each spending its full backoff
+    this.circuitBreaker = CircuitBreaker.shared('notion');
+    // Signal of the current run, set by the sync so no request outlives its deadline
+    this.signal = null;
+  }
+
+  /**
+   * Bind requests to a run's AbortSignal
+   * @param {AbortSignal|null} signal - Run signal, or null to clear it
+   */
+  setSignal(signal) {
+    this.signal = signal || null;
+  }
+
+  /**
+   * Send a Notion API request within the shared rate limit, retrying transient failures
+   * A 429 pauses all requests for its Retry-After and the request is retried after it
+   * @param {Function} fn - Async function sending one request
+   * @returns {Promise<any>} - API response
+   */
+  async request(fn) {
+    const isFailure = error => this.retryManager.classifyError(error) === RetryManager.ERROR_CLASSES.TRANSIENT;
+
+    return await this.retryManager.executeWithRetry(async () => {
+      try {
+        return await this.rateLimiter.schedule(() => this.circuitBreaker.execute(fn, { isFailure }), this.signal);
+      } catch (error) {
+        if (error.status === 429 || error.code === 'rate_limited') {
+          error.retryAfterMs = RateLimiter.parseRetryAfter(this.getRateLimitInfo(error).retryAfter);
+          this.rateLimiter.recordRateLimited(error.retryAfterMs);
+        }
+        throw error;
+      }
+    }, { signal: this.signal });
+  }
+
+  /**
+   * Throttling metrics of the shared rate limiter
+   * @param {Object|null} since - Snapshot from an earlier call, to get the difference
+   * @returns {Object} - Rate limiter metrics
+   */
+  getRateLimitMetrics(since = null) {
+    return this.rateLimiter.getMetrics(since);
+  }
+
+  /**
+   * State of the Notion circuit breaker
+   * @returns {Object} - { state, failures, openedAt }
+   */
+  getCircuitStatus() {
+    return this.circuitBreaker.getStatus();
   }
 
   /**
@@ -18,9 +83,7 @@ class NotionService {
    */
   async getDatabaseSchema(databaseId) {
     try {
-      const response = await this.retryManager.executeWithRetry(async () => {
-        return await this.client.databases.retrieve({ database_id: databaseId });
-      });
+      const response = await this.request(() => this.client.databases.retrieve({ database_id: databaseId }));
 
       logger.info('Database schema retrieved', { databaseId });
       return response;
@@ -52,11 +115,12 @@ class NotionService {
       // Build filter for incremental sync
       let finalFilter = filter;
       if (lastSyncTime) {
-        // Use the correct filter format for last_edited_time
+        // Inclusive: Notion rounds last_edited_time to the minute, so pages edited in the
+        // watermark's minute would be missed by a strict `after` filter
         const timeFilter = {
           timestamp: 'last_edited_time',
           last_edited_time: {
-            after: lastSyncTime
+            on_or_after: lastSyncTime
           }
         };
 
@@ -77,9 +141,7 @@ class NotionService {
         sorts: sorts
       };
 
-      const response = await this.retryManager.executeWithRetry(async () => {
-        return await this.client.databases.query(queryParams);
-      });
+      const response = await this.request(() => this.client.databases.query(queryParams));
 
       logger.info('Database pages fetched', {
         databaseId,
@@ -100,41 +162,51 @@ class NotionService {
   }
 
   /**
-   * Fetch all pages from database with pagination
+   * Iterate over database query results one API page at a time
    * @param {string} databaseId - Notion database ID
-   * @param {Object} options - Query options
-   * @returns {Promise<Array>} - All pages
+   * @param {Object} options - Query options (startCursor resumes a previous query)
+   * @returns {AsyncGenerator<Object>} - Query responses with results, has_more and next_cursor
    */
-  async getAllDatabasePages(databaseId, options = {}) {
+  async *iterateDatabasePages(databaseId, options = {}) {
     const {
+      startCursor = undefined,
       pageSize = 100,
       filter = undefined,
       sorts = undefined,
       lastSyncTime = null
     } = options;
 
-    const allPages = [];
     let hasMore = true;
-    let startCursor = undefined;
+    let cursor = startCursor;
+
+    while (hasMore) {
+      const response = await this.getDatabasePages(databaseId, {
+        startCursor: cursor,
+        pageSize,
+        filter,
+        sorts,
+        lastSyncTime
+      });
 
-    try {
-      while (hasMore) {
-        const response = await this.getDatabasePages(databaseId, {
-          startCursor,
-          pageSize,
-          filter,
-          sorts,
-          lastSyncTime
-        });
+      hasMore = response.has_more;
+      cursor = response.next_cursor;
 
-        allPages.push(...response.results);
-        hasMore = response.has_more;
-        startCursor = response.next_cursor;
+      yield response;
+    }
+  }
 
-        // Add small delay to respect rate limits
-        if (hasMore) {
-          await this.retryManager.sleep(100);
-        }
+  /**
+   * Fetch all pages from database with pagination
+   * @param {string} databaseId - Notion database ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} - All pages
+   */
+  async getAllDatabasePages(databaseId, options = {}) {
+    const allPages = [];
+
+    try {
+      for await (const response of this.iterateDatabasePages(databaseId, options)) {
+        allPages.push(...response.results);
       }
 
       logger.info('All database pages fetched', {
@@ -153,6 +225,39 @@ class NotionService {
     }
   }
 
+  /**
+   * Fetch the IDs of every live page in a database
+   * Archived and trashed pages are not returned by databases.query
+   * @param {string} databaseId - Notion database ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<string>>} - Page IDs
+   */
+  async getAllDatabasePageIds(databaseId, options = {}) {
+    const { pageSize = 100 } = options;
+
+    const pageIds = [];
+
+    try {
+      for await (const response of this.iterateDatabasePages(databaseId, { pageSize })) {
+        pageIds.push(...response.results.map(page => page.id));
+      }
+
+      logger.info('All database page IDs fetched', {
+        databaseId,
+        totalPages: pageIds.length
+      });
+
+      return pageIds;
+    } catch (error) {
+      logger.error('Error fetching database page IDs', {
+        error: error.message,
+        databaseId,
+        pagesFetched: pageIds.length
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get a specific page by ID
    * @param {string} pageId - Notion page ID
@@ -160,9 +265,7 @@ class NotionService {
    */
   async getPage(pageId) {
     try {
-      const response = await this.retryManager.executeWithRetry(async () => {
-        return await this.client.pages.retrieve({ page_id: pageId });
-      });
+      const response = await this.request(() => this.client.pages.retrieve({ page_id: pageId }));
 
       logger.info('Page retrieved', { pageId });
       return response;
@@ -175,30 +278,69 @@ class NotionService {
     }
   }
 
+  /**
+   * Update page properties
+   * @param {string} pageId - Notion page ID
+   * @param {Object} properties - Notion property values keyed by property name
+   * @returns {Promise<Object>} - Updated page
+   */
+  async updatePage(pageId, properties) {
+    try {
+      const response = await this.request(() => this.client.pages.update({ page_id: pageId, properties }));
+
+      logger.info('Page updated', { pageId, properties: Object.keys(properties) });
+      return response;
+    } catch (error) {
+      logger.error('Error updating page', {
+        error: error.message,
+        pageId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get multiple pages by IDs
    * @param {Array<string>} pageIds - Array of Notion page IDs
-   * @returns {Promise<Array>} - Array of page data
+   * @returns {Promise<Array>} - Array of page data (pages that could not be fetched are left out)
    */
   async getPages(pageIds) {
+    const { pages } = await this.getPagesSettled(pageIds);
+    return pages;
+  }
+
+  /**
+   * Get multiple pages by IDs, `concurrency` at a time, reporting the pages that failed
+   * @param {Array<string>} pageIds - Array of Notion page IDs
+   * @returns {Promise<Object>} - { pages, errors: [{ pageId, error, attempts }] }, pages in request order
+   */
+  async getPagesSettled(pageIds) {
     try {
       const operations = pageIds.map(pageId => 
         () => this.getPage(pageId)
       );
 
-      const results = await this.retryManager.executeBatchWithRetry(operations);
+      const results = await this.retryManager.executeBatchWithRetry(operations, {
+        concurrency: this.concurrency,
+        signal: this.signal
+      });
+      // Pages cut off by an aborted run are not reported as page failures
+      RetryManager.throwIfAborted(this.signal);
 
-      const successfulPages = results
+      const pages = results
         .filter(result => result.success)
         .map(result => result.data);
+      const errors = results
+        .filter(result => !result.success)
+        .map(result => ({ pageId: pageIds[result.index], error: result.error, attempts: result.attempts }));
 
       logger.info('Multiple pages retrieved', {
         requested: pageIds.length,
-        successful: successfulPages.length,
-        failed: pageIds.length - successfulPages.length
+        successful: pages.length,
+        failed: errors.length
       });
 
-      return successfulPages;
+      return { pages, errors };
     } catch (error) {
       logger.error('Error fetching multiple pages', {
         error: error.message,
@@ -208,6 +350,146 @@ class NotionService {
     }
   }
 
+  /**
+   * Fetch all direct children of a block (or page), following pagination
+   * @param {string} blockId - Notion block or page ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} - Child blocks
+   */
+  async getBlockChildren(blockId, options = {}) {
+    const { pageSize = 100 } = options;
+
+    const blocks = [];
+    let hasMore = true;
+    let startCursor = undefined;
+
+    try {
+      while (hasMore) {
+        const response = await this.request(() => this.client.blocks.children.list({
+          block_id: blockId,
+          page_size: pageSize,
+          start_cursor: startCursor
+        }));
+
+        blocks.push(...response.results);
+        hasMore = response.has_more;
+        startCursor = response.next_cursor;
+      }
+
+      logger.debug('Block children fetched', { blockId, blockCount: blocks.length });
+      return blocks;
+    } catch (error) {
+      logger.error('Error fetching block children', {
+        error: error.message,
+        blockId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every item of a paginated page property (relation, people, rich text, ...)
+   * Page objects returned by databases.query hold at most 25 items of these properties
+   * @param {string} pageId - Notion page ID
+   * @param {string} propertyId - Property ID
+   * @returns {Promise<Array>} - Property items
+   */
+  async getPropertyItems(pageId, propertyId) {
+    const items = [];
+    let hasMore = true;
+    let startCursor = undefined;
+
+    try {
+      while (hasMore) {
+        const response = await this.request(() => this.client.pages.properties.retrieve({
+          page_id: pageId,
+          property_id: propertyId,
+          page_size: 100,
+          start_cursor: startCursor
+        }));
+
+        // Non-paginated properties return the property item itself
+        if (response.object !== 'list') {
+          return [response];
+        }
+
+        items.push(...response.results);
+        hasMore = response.has_more;
+        startCursor = response.next_cursor;
+      }
+
+      logger.debug('Property items fetched', { pageId, propertyId, itemCount: items.length });
+      return items;
+    } catch (error) {
+      logger.error('Error fetching property items', {
+        error: error.message,
+        pageId,
+        propertyId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the full block tree of a page, attaching nested blocks as a children array
+   * Child pages and child databases are not descended into
+   * @param {string} blockId - Notion block or page ID
+   * @param {Object} options - Query options
+   * @param {number} options.maxDepth - Maximum nesting depth to fetch
+   * @returns {Promise<Array>} - Block tree
+   */
+  async getBlockTree(blockId, options = {}) {
+    const { maxDepth = 10, depth = 0 } = options;
+
+    const blocks = await this.getBlockChildren(blockId, options);
+
+    // Walk the tree one level at a time, fetching the children of each level `concurrency` at a time
+    let level = blocks;
+    for (let levelDepth = depth + 1; levelDepth < maxDepth && level.length > 0; levelDepth++) {
+      const parents = level.filter(block => block.has_children && !['child_page', 'child_database'].includes(block.type));
+
+      const results = await mapWithConcurrency(parents, this.concurrency, parent => this.getBlockChildren(parent.id, options));
+      const failed = results.find(result => !result.success);
+      if (failed) throw failed.error;
+
+      parents.forEach((parent, index) => {
+        parent.children = results[index].data;
+      });
+      level = parents.flatMap(parent => parent.children);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Fetch every user of the workspace (members and bots; guests are not listed)
+   * @returns {Promise<Array>} - Notion user objects
+   */
+  async listUsers() {
+    const users = [];
+    let hasMore = true;
+    let startCursor = undefined;
+
+    try {
+      while (hasMore) {
+        const response = await this.request(() => this.client.users.list({
+          page_size: 100,
+          start_cursor: startCursor
+        }));
+
+        users.push(...response.results);
+        hasMore = response.has_more;
+        startCursor = response.next_cursor;
+      }
+
+      logger.info('Users listed', { userCount: users.length });
+      return users;
+    } catch (error) {
+      logger.error('Error listing users', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Search for pages in a database
    * @param {string} databaseId - Notion database ID
@@ -222,18 +504,16 @@ class NotionService {
     } = options;
 
     try {
-      const response = await this.retryManager.executeWithRetry(async () => {
-        return await this.client.search({
-          query,
-          filter: {
-            property: 'object',
-            value: 'page'
-          },
-          database_id: databaseId,
-          page_size: pageSize,
-          start_cursor: startCursor
-        });
-      });
+      const response = await this.request(() => this.client.search({
+        query,
+        filter: {
+          property: 'object',
+          value: 'page'
+        },
+        database_id: databaseId,
+        page_size: pageSize,
+        start_cursor: startCursor
+      }));
 
       logger.info('Pages searched', {
         databaseId,
@@ -258,9 +538,7 @@ class NotionService {
    */
   async validateToken() {
     try {
-      await this.retryManager.executeWithRetry(async () => {
-        return await this.client.users.me();
-      });
+      await this.request(() => this.client.users.me());
 
       logger.info('Notion token validated successfully');
       return true;
@@ -272,17 +550,18 @@ class NotionService {
 
   /**
    * Get rate limit information from response headers
-   * @param {Object} response - API response
+   * @param {Object} response - API response or APIResponseError (whose headers are a Headers object)
    * @returns {Object} - Rate limit info
    */
   getRateLimitInfo(response) {
     const headers = response?.headers || {};
+    const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? undefined;
     
     return {
-      limit: headers['x-ratelimit-limit'],
-      remaining: headers['x-ratelimit-remaining'],
-      reset: headers['x-ratelimit-reset'],
-      retryAfter: headers['retry-after']
+      limit: header('x-ratelimit-limit'),
+      remaining: header('x-ratelimit-remaining'),
+      reset: header('x-ratelimit-reset'),
+      retryAfter: header('retry-after')
     };
   }
 }
@@ -1,6 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../config/logger');
 const RetryManager = require('../utils/retry');
+const CircuitBreaker = require('../utils/circuitBreaker');
 const SchemaManager = require('../utils/schemaManager');
 
 /**
@@ -10,6 +11,70 @@ class SupabaseService {
   constructor(url, anonKey) {
     this.client = createClient(url, anonKey);
     this.retryManager = new RetryManager();
+    // supabase-js reports a network failure as an error response with status 0
+    this.retryManager.addClassifier(error => (error.response && error.status === 0)
+      ? RetryManager.ERROR_CLASSES.TRANSIENT
+      : undefined);
+    // One breaker per project, so a Supabase outage fails calls fast
+    this.circuitBreaker = CircuitBreaker.shared(`supabase:${new URL(url).host}`);
+    // Signal of the current run, set by the sync so no request outlives its deadline
+    this.signal = null;
+  }
+
+  /**
+   * Bind requests to a run's AbortSignal
+   * @param {AbortSignal|null} signal - Run signal, or null to clear it
+   */
+  setSignal(signal) {
+    this.signal = signal || null;
+  }
+
+  /**
+   * Send a Supabase request, retrying transient failures through the circuit breaker
+   * supabase-js returns failures instead of throwing them, so error responses are classified
+   * here; one that is still failing after the retries is returned to the caller as usual.
+   * Query builders get the run's AbortSignal, so an aborted run cancels the request in flight.
+   * @param {Function} fn - Function returning a supabase-js query builder (or a promise of a response)
+   * @returns {Promise<Object>} - supabase-js response ({ data, error, status })
+   */
+  async request(fn) {
+    const isFailure = error => this.retryManager.classifyError(error) === RetryManager.ERROR_CLASSES.TRANSIENT;
+
+    try {
+      return await this.retryManager.executeWithRetry(() => this.circuitBreaker.execute(async () => {
+        let query = fn();
+        if (this.signal && typeof query?.abortSignal === 'function') {
+          query = query.abortSignal(this.signal);
+        }
+
+        const response = await query;
+        // A cancelled request comes back as a status 0 error response; report the abort instead
+        RetryManager.throwIfAborted(this.signal);
+        if (!response?.error) return response;
+
+        const error = new Error(response.error.message);
+        error.code = response.error.code;
+        // Storage errors carry their HTTP status on the error rather than the response
+        error.status = response.status ?? response.error.status;
+        error.response = response;
+
+        if (this.retryManager.classifyError(error) === RetryManager.ERROR_CLASSES.FATAL) {
+          return response;
+        }
+        throw error;
+      }, { isFailure }), { signal: this.signal });
+    } catch (error) {
+      if (error.response) return error.response;
+      throw error;
+    }
+  }
+
+  /**
+   * State of the Supabase circuit breaker
+   * @returns {Object} - { state, failures, openedAt }
+   */
+  getCircuitStatus() {
+    return this.circuitBreaker.getStatus();
   }
 
   /**
@@ -18,8 +83,8 @@ class SupabaseService {
    */
   async validateConnection() {
     try {
-      const { data, error } = await this.retryManager.executeWithRetry(async () => {
-        return await this.client.from('_dummy_table_').select('*').limit(1);
+      const { data, error } = await this.request(() => {
+        return this.client.from('_dummy_table_').select('*').limit(1);
       });
 
       // We expect an error for non-existent table, but connection should work
@@ -51,20 +116,20 @@ class SupabaseService {
       // Method 1: Try to trigger a schema refresh by making a request with a non-existent column
       // This sometimes forces PostgREST to refresh its cache
       try {
-        await this.client
+        await this.request(() => this.client
           .from(tableName)
           .select('_schema_refresh_trigger')
-          .limit(1);
+          .limit(1));
       } catch (error) {
         // Expected error, but it might trigger cache refresh
         logger.debug('Schema refresh trigger attempted', { tableName });
       }
 
       // Method 2: Make a simple query to the table to refresh the connection
-      const { data, error } = await this.client
+      const { data, error } = await this.request(() => this.client
         .from(tableName)
         .select('id')
-        .limit(1);
+        .limit(1));
 
       if (error) {
         logger.warn('Schema cache refresh query failed', { tableName, error: error.message });
@@ -79,28 +144,64 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Read a table's columns and indexes from the Postgres catalog
+   * @param {string} tableName - Table name
+   * @returns {Promise<Object|null>} - { columns, indexes }, or null when the table does not exist
+   */
+  async describeTable(tableName) {
+    const { data, error } = await this.request(() => {
+      return this.client.rpc('sync_describe_table', { target_table: tableName });
+    });
+
+    if (error) {
+      logger.error('Error reading table catalog', { tableName, error: error.message });
+      // PGRST202: the function is missing, i.e. setup-database.sql or the migrations have not been applied
+      throw new Error(error.code === 'PGRST202'
+        ? 'sync_describe_table() is not installed; apply setup-database.sql or the Supabase migrations'
+        : `Could not read the catalog for ${tableName}: ${error.message}`);
+    }
+
+    return data || null;
+  }
+
   /**
    * Create missing columns in a table based on Notion schema
    * @param {string} tableName - Table name
    * @param {Object} databaseSchema - Notion database schema
+   * @param {Array} extraColumns - Sync-managed column definitions not derived from Notion properties
    * @returns {Promise<Object>} - Column creation result
    */
-  async createMissingColumns(tableName, databaseSchema) {
+  async createMissingColumns(tableName, databaseSchema, extraColumns = []) {
     try {
       logger.info('Creating missing columns', { tableName });
 
       // Extract column definitions from Notion schema
-      const requiredColumns = SchemaManager.extractColumnDefinitions(databaseSchema);
+      const requiredColumns = [
+        ...SchemaManager.extractColumnDefinitions(databaseSchema),
+        ...extraColumns
+      ];
       
       if (!SchemaManager.validateColumnDefinitions(requiredColumns)) {
         throw new Error('Invalid column definitions');
       }
 
-      // Get existing columns from the table
-      const existingColumns = await SchemaManager.getExistingColumns(this, tableName);
+      // Get existing columns from the catalog
+      const catalog = await this.describeTable(tableName);
+      if (!catalog) {
+        throw new Error(`Table ${tableName} does not exist; create it with setup-database.sql first`);
+      }
+
+      const existingColumns = catalog.columns.map(column => column.name);
       
       // Determine which columns need to be created
       const missingColumns = SchemaManager.getMissingColumns(requiredColumns, existingColumns);
+
+      // Existing columns whose type differs are reported, never altered here (see SchemaDrift)
+      const typeMismatches = SchemaManager.getTypeMismatches(requiredColumns, catalog.columns);
+      if (typeMismatches.length > 0) {
+        logger.warn('Existing columns differ from the Notion schema', { tableName, typeMismatches });
+      }
       
       if (missingColumns.length === 0) {
         logger.info('No missing columns to create', { tableName });
@@ -108,6 +209,7 @@ class SupabaseService {
           success: true,
           created: 0,
           existing: existingColumns.length,
+          typeMismatches,
           summary: SchemaManager.createSchemaSummary(missingColumns, existingColumns)
         };
       }
@@ -118,38 +220,15 @@ class SupabaseService {
         existingColumns
       });
 
-      // Create all missing columns using ALTER TABLE statements
-      const alterStatements = SchemaManager.generateAlterTableStatements(tableName, missingColumns);
-      
       let createdCount = 0;
       const errors = [];
 
-      for (const statement of alterStatements) {
+      for (const column of missingColumns) {
         try {
-          // Execute the ALTER TABLE statement
-          const { error } = await this.client.rpc('exec_sql', {
-            sql: statement
-          });
-
-          if (error) {
-            logger.error('Failed to execute column creation statement', {
-              statement,
-              error: error.message
-            });
-            errors.push({ statement, error: error.message });
-          } else {
-            createdCount++;
-            logger.info('Successfully created column', {
-              statement,
-              tableName
-            });
-          }
+          await this.addColumn(tableName, column.name, column.type);
+          createdCount++;
         } catch (execError) {
-          logger.error('Column creation failed', {
-            statement,
-            error: execError.message
-          });
-          errors.push({ statement, error: execError.message });
+          errors.push({ column: column.name, type: column.type, error: execError.message });
         }
       }
 
@@ -164,6 +243,7 @@ class SupabaseService {
         created: createdCount,
         existing: existingColumns.length,
         missing: missingColumns.length - createdCount,
+        typeMismatches,
         errors: errors.length > 0 ? errors : undefined,
         summary: SchemaManager.createSchemaSummary(missingColumns, existingColumns)
       };
@@ -185,6 +265,82 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Call one of the sync_*_column DDL functions
+   * They only change tables listed in sync_managed_tables and quote identifiers server-side
+   * @param {string} functionName - Database function name
+   * @param {Object} params - Function arguments
+   * @returns {Promise<void>}
+   */
+  async callDdlFunction(functionName, params) {
+    const { error } = await this.request(() => this.client.rpc(functionName, params));
+
+    if (error) {
+      logger.error('DDL function failed', { functionName, params, error: error.message });
+      throw new Error(error.message);
+    }
+
+    logger.info('DDL function executed', { functionName, params });
+  }
+
+  /**
+   * Add a column
+   * @param {string} tableName - Table name
+   * @param {string} column - Column name
+   * @param {string} type - Column type (must be on the server-side allowlist)
+   * @returns {Promise<void>}
+   */
+  async addColumn(tableName, column, type) {
+    await this.callDdlFunction('sync_add_column', {
+      target_table: tableName,
+      column_name: column,
+      column_type: type
+    });
+  }
+
+  /**
+   * Rename a column
+   * @param {string} tableName - Table name
+   * @param {string} fromColumn - Current column name
+   * @param {string} toColumn - New column name
+   * @returns {Promise<void>}
+   */
+  async renameColumn(tableName, fromColumn, toColumn) {
+    await this.callDdlFunction('sync_rename_column', {
+      target_table: tableName,
+      from_column: fromColumn,
+      to_column: toColumn
+    });
+  }
+
+  /**
+   * Change the type of a column; the database builds the conversion and rejects lossy ones
+   * @param {string} tableName - Table name
+   * @param {string} column - Column name
+   * @param {string} type - New column type
+   * @returns {Promise<void>}
+   */
+  async alterColumnType(tableName, column, type) {
+    await this.callDdlFunction('sync_alter_column_type', {
+      target_table: tableName,
+      column_name: column,
+      column_type: type
+    });
+  }
+
+  /**
+   * Drop a column
+   * @param {string} tableName - Table name
+   * @param {string} column - Column name
+   * @returns {Promise<void>}
+   */
+  async dropColumn(tableName, column) {
+    await this.callDdlFunction('sync_drop_column', {
+      target_table: tableName,
+      column_name: column
+    });
+  }
+
   /**
    * Ensure table exists with basic structure
    * @param {string} tableName - Table name
@@ -204,9 +360,9 @@ class SupabaseService {
           updated_at: new Date().toISOString()
         };
 
-        const { error } = await this.client
+        const { error } = await this.request(() => this.client
           .from(tableName)
-          .insert(testRow);
+          .insert(testRow));
 
         if (error) {
           logger.error('Error creating base table', {
@@ -217,10 +373,10 @@ class SupabaseService {
         }
 
         // Delete the test row
-        await this.client
+        await this.request(() => this.client
           .from(tableName)
           .delete()
-          .eq('notion_id', 'temp_table_creation');
+          .eq('notion_id', 'temp_table_creation'));
 
         logger.info('Base table created successfully', { tableName });
       } else {
@@ -262,8 +418,8 @@ class SupabaseService {
         updated_at: new Date().toISOString()
       }));
 
-      const { data: result, error } = await this.retryManager.executeWithRetry(async () => {
-        return await this.client
+      const { data: result, error } = await this.request(() => {
+        return this.client
           .from(tableName)
           .upsert(timestampedData, {
             onConflict,
@@ -278,12 +434,12 @@ class SupabaseService {
         if (handled) {
           // Retry the upsert operation after schema cache refresh
           logger.info('Retrying upsert after schema cache error recovery', { tableName });
-          const { data: retryResult, error: retryError } = await this.client
+          const { data: retryResult, error: retryError } = await this.request(() => this.client
             .from(tableName)
             .upsert(timestampedData, {
               onConflict,
               ignoreDuplicates
-            });
+            }));
           
           if (retryError) {
             logger.error('Upsert failed even after schema cache error recovery', { 
@@ -300,7 +456,11 @@ class SupabaseService {
             resultCount: retryResult?.length || 0
           });
           
-          return { data: retryResult, error: null };
+          return {
+            inserted: retryResult?.length || 0,
+            updated: retryResult?.length || 0,
+            errors: []
+          };
         }
         
         logger.error('Error upserting data', { error, tableName, dataCount: data.length });
@@ -328,6 +488,62 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Check whether an upsert error is caused by the rows themselves (bad values, constraints, unknown columns)
+   * rather than by the connection or service
+   * @param {Object} error - Supabase/PostgREST error
+   * @returns {boolean}
+   */
+  isRowLevelError(error) {
+    const code = String(error?.code || '');
+    return code.startsWith('22') || code.startsWith('23') || ['42703', '42804', 'PGRST204'].includes(code);
+  }
+
+  /**
+   * Upsert data, isolating rows that make the batch fail
+   * A failing batch is split in halves until the bad rows are found, so good rows are still committed
+   * @param {string} tableName - Table name
+   * @param {Array<Object>} data - Data to upsert
+   * @param {Object} options - Upsert options
+   * @returns {Promise<Object>} - Upsert result with a failed array of { record, error }
+   */
+  async upsertWithIsolation(tableName, data, options = {}) {
+    try {
+      const result = await this.upsertData(tableName, data, options);
+      return { ...result, failed: [] };
+    } catch (error) {
+      if (!this.isRowLevelError(error)) {
+        throw error;
+      }
+
+      if (data.length === 1) {
+        return {
+          inserted: 0,
+          updated: 0,
+          errors: [],
+          failed: [{ record: data[0], error: error.message }]
+        };
+      }
+
+      logger.warn('Batch upsert failed, isolating failing rows', {
+        tableName,
+        dataCount: data.length,
+        error: error.message
+      });
+
+      const middle = Math.ceil(data.length / 2);
+      const left = await this.upsertWithIsolation(tableName, data.slice(0, middle), options);
+      const right = await this.upsertWithIsolation(tableName, data.slice(middle), options);
+
+      return {
+        inserted: left.inserted + right.inserted,
+        updated: left.updated + right.updated,
+        errors: [],
+        failed: [...left.failed, ...right.failed]
+      };
+    }
+  }
+
   /**
    * Insert data into a table
    * @param {string} tableName - Table name
@@ -341,8 +557,8 @@ class SupabaseService {
         return { inserted: 0, errors: [] };
       }
 
-      const { data: result, error } = await this.retryManager.executeWithRetry(async () => {
-        return await this.client
+      const { data: result, error } = await this.request(() => {
+        return this.client
           .from(tableName)
           .insert(data);
       });
@@ -387,11 +603,11 @@ class SupabaseService {
         updated_at: new Date().toISOString()
       };
 
-      const { data: result, error } = await this.retryManager.executeWithRetry(async () => {
-        return await this.client
+      const { data: result, error } = await this.request(() => {
+        const query = this.client
           .from(tableName)
-          .update(timestampedData)
-          .match(filter);
+          .update(timestampedData);
+        return this.applyFilter(query, filter);
       });
 
       if (error) {
@@ -426,11 +642,11 @@ class SupabaseService {
    */
   async deleteData(tableName, filter) {
     try {
-      const { data: result, error } = await this.retryManager.executeWithRetry(async () => {
-        return await this.client
+      const { data: result, error } = await this.request(() => {
+        const query = this.client
           .from(tableName)
-          .delete()
-          .match(filter);
+          .delete();
+        return this.applyFilter(query, filter);
       });
 
       if (error) {
@@ -478,13 +694,7 @@ class SupabaseService {
         .select(select);
 
       // Apply filters
-      Object.entries(filter).forEach(([key, value]) => {
-        if (typeof value === 'object' && value.operator) {
-          query = query[value.operator](key, value.value);
-        } else {
-          query = query.eq(key, value);
-        }
-      });
+      query = this.applyFilter(query, filter);
 
       // Apply ordering
       Object.entries(order).forEach(([key, direction]) => {
@@ -499,8 +709,8 @@ class SupabaseService {
         query = query.range(offset, offset + (limit || 1000) - 1);
       }
 
-      const { data, error } = await this.retryManager.executeWithRetry(async () => {
-        return await query;
+      const { data, error } = await this.request(() => {
+        return query;
       });
 
       if (error) {
@@ -524,6 +734,82 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Apply filter conditions to a query
+   * Plain values are matched with eq, { operator, value } objects call the named operator (in, lt, is, ...)
+   * @param {Object} query - Supabase query builder
+   * @param {Object} filter - Filter conditions
+   * @returns {Object} - Filtered query builder
+   */
+  applyFilter(query, filter = {}) {
+    Object.entries(filter).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && value.operator) {
+        query = query[value.operator](key, value.value);
+      } else {
+        query = query.eq(key, value);
+      }
+    });
+
+    return query;
+  }
+
+  /**
+   * Get every value of a column, paging through the table
+   * @param {string} tableName - Table name
+   * @param {string} column - Column to read
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} - Column values
+   */
+  async getColumnValues(tableName, column, options = {}) {
+    const {
+      filter = {},
+      pageSize = 1000
+    } = options;
+
+    const values = [];
+    let offset = 0;
+
+    try {
+      while (true) {
+        const { data, error } = await this.request(() => {
+          const query = this.client
+            .from(tableName)
+            .select(column)
+            .order(column, { ascending: true })
+            .range(offset, offset + pageSize - 1);
+          return this.applyFilter(query, filter);
+        });
+
+        if (error) {
+          logger.error('Error getting column values', { error, tableName, column });
+          throw error;
+        }
+
+        values.push(...(data || []).map(row => row[column]));
+
+        if (!data || data.length < pageSize) {
+          break;
+        }
+        offset += pageSize;
+      }
+
+      logger.info('Column values retrieved', {
+        tableName,
+        column,
+        resultCount: values.length
+      });
+
+      return values;
+    } catch (error) {
+      logger.error('Error in getColumnValues', {
+        error: error.message,
+        tableName,
+        column
+      });
+      throw error;
+    }
+  }
+
   /**
    * Check if a table exists
    * @param {string} tableName - Table name
@@ -531,14 +817,7 @@ class SupabaseService {
    */
   async tableExists(tableName) {
     try {
-      const { error } = await this.retryManager.executeWithRetry(async () => {
-        return await this.client
-          .from(tableName)
-          .select('*')
-          .limit(1);
-      });
-
-      return !error;
+      return Boolean(await this.describeTable(tableName));
     } catch (error) {
       return false;
     }
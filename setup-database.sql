@@ -17,16 +17,127 @@ CREATE TABLE IF NOT EXISTS wheeltribe_content (
     last_edited_time TIMESTAMP WITH TIME ZONE
 );
 
--- Sync state tracking table
+-- Sync state tracking table (one row per sync profile)
 CREATE TABLE IF NOT EXISTS sync_state (
     id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
     database_id TEXT NOT NULL,
-    last_sync_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_sync_time TIMESTAMP WITH TIME ZONE,
+    last_push_time TIMESTAMP WITH TIME ZONE,
+    checkpoint_cursor TEXT,
+    checkpoint_since TIMESTAMP WITH TIME ZONE,
+    checkpoint_started_at TIMESTAMP WITH TIME ZONE,
+    checkpoint_last_edited_time TIMESTAMP WITH TIME ZONE,
+    checkpoint_pages INTEGER,
+    checkpoint_updated_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE(database_id)
+    UNIQUE(profile)
 );
 
+-- Two-way sync conflicts kept for review
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    table_name TEXT NOT NULL,
+    notion_id TEXT NOT NULL,
+    policy TEXT NOT NULL,
+    winner TEXT NOT NULL,
+    columns TEXT[],
+    notion_values JSONB,
+    supabase_values JSONB,
+    notion_last_edited_time TIMESTAMP WITH TIME ZONE,
+    supabase_updated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Sync run history (one row per run)
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    database_id TEXT,
+    table_name TEXT,
+    trigger_source TEXT NOT NULL,
+    options JSONB,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    total_fetched INTEGER DEFAULT 0,
+    total_transformed INTEGER DEFAULT 0,
+    total_synced INTEGER DEFAULT 0,
+    errors JSONB,
+    error_message TEXT,
+    result JSONB
+);
+
+-- Dead-letter table for pages that failed a pipeline stage
+CREATE TABLE IF NOT EXISTS sync_dead_letters (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    table_name TEXT NOT NULL,
+    page_id TEXT NOT NULL,
+    stage TEXT NOT NULL,
+    error TEXT,
+    payload JSONB,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    first_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(profile, page_id)
+);
+
+-- Notion property ID → column mapping used to follow renames, type changes and deletions
+CREATE TABLE IF NOT EXISTS sync_property_map (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    table_name TEXT NOT NULL,
+    property_id TEXT NOT NULL,
+    property_name TEXT NOT NULL,
+    notion_type TEXT,
+    column_name TEXT NOT NULL,
+    column_type TEXT NOT NULL,
+    pending_type TEXT,
+    companion_columns TEXT[] DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(profile, property_id)
+);
+
+-- Notion workspace members and bots from users.list (`sync-users` or profiles with syncUsers)
+CREATE TABLE IF NOT EXISTS notion_users (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    email TEXT,
+    avatar_url TEXT,
+    type TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Notion-hosted files mirrored into Supabase Storage (profiles with `assets`)
+CREATE TABLE IF NOT EXISTS sync_assets (
+    source_key TEXT PRIMARY KEY,
+    bucket TEXT NOT NULL,
+    storage_key TEXT NOT NULL,
+    sha256 TEXT NOT NULL,
+    public_url TEXT NOT NULL,
+    mime_type TEXT,
+    size_bytes BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tables the sync may change with DDL (add, rename, convert and drop columns)
+-- Register the table of every additional sync profile here
+CREATE TABLE IF NOT EXISTS sync_managed_tables (
+    table_name TEXT PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO sync_managed_tables (table_name) VALUES ('wheeltribe_content') ON CONFLICT DO NOTHING;
+
 -- ============================================================================
 -- 2. CREATE INDEXES
 -- ============================================================================
@@ -41,21 +152,272 @@ CREATE INDEX IF NOT EXISTS idx_wheeltribe_content_last_edited_time ON wheeltribe
 CREATE INDEX IF NOT EXISTS idx_sync_state_database_id ON sync_state(database_id);
 CREATE INDEX IF NOT EXISTS idx_sync_state_last_sync_time ON sync_state(last_sync_time);
 
+-- Indexes for sync_conflicts table
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_profile ON sync_conflicts(profile, created_at);
+
+-- Indexes for sync_runs table
+CREATE INDEX IF NOT EXISTS idx_sync_runs_profile_started_at ON sync_runs(profile, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at);
+
+-- Indexes for sync_dead_letters table
+CREATE INDEX IF NOT EXISTS idx_sync_dead_letters_pending ON sync_dead_letters(profile, last_failed_at) WHERE resolved_at IS NULL;
+
+-- Indexes for notion_users table
+CREATE INDEX IF NOT EXISTS idx_notion_users_email ON notion_users(email);
+
+-- Indexes for sync_assets table
+CREATE INDEX IF NOT EXISTS idx_sync_assets_sha256 ON sync_assets(bucket, sha256);
+
+-- Indexes for sync_property_map table
+CREATE INDEX IF NOT EXISTS idx_sync_property_map_review ON sync_property_map(profile) WHERE status = 'review';
+
 -- ============================================================================
 -- 3. CREATE FUNCTIONS
 -- ============================================================================
 
--- Function to execute SQL statements (for automatic column creation)
-CREATE OR REPLACE FUNCTION exec_sql(sql text)
+-- Earlier versions created columns through an unrestricted exec_sql function
+DROP FUNCTION IF EXISTS exec_sql(text);
+
+-- Column types the sync may create or convert to (canonical format_type names)
+-- Returns the canonical name, or raises for anything outside the allowlist
+CREATE OR REPLACE FUNCTION sync_allowed_column_type(column_type text)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    canonical text := format_type(to_regtype(column_type), NULL);
+BEGIN
+    IF canonical IS NULL OR canonical <> ALL (ARRAY[
+        'text', 'text[]', 'numeric', 'integer', 'bigint', 'double precision', 'boolean',
+        'date', 'timestamp with time zone', 'timestamp without time zone', 'jsonb', 'uuid'
+    ]) THEN
+        RAISE EXCEPTION 'Column type "%" is not allowed', column_type USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    RETURN canonical;
+END;
+$$;
+
+-- Resolve a table the sync may change (listed in sync_managed_tables), or raise
+CREATE OR REPLACE FUNCTION sync_managed_table(target_table text)
+RETURNS regclass
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    target regclass;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM sync_managed_tables WHERE table_name = target_table) THEN
+        RAISE EXCEPTION 'Table "%" is not a sync-managed table', target_table USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    target := to_regclass(format('public.%I', target_table));
+    IF target IS NULL THEN
+        RAISE EXCEPTION 'Table "%" does not exist', target_table USING ERRCODE = 'undefined_table';
+    END IF;
+
+    RETURN target;
+END;
+$$;
+
+-- Add a column to a sync-managed table
+CREATE OR REPLACE FUNCTION sync_add_column(target_table text, column_name text, column_type text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+BEGIN
+    EXECUTE format('ALTER TABLE %s ADD COLUMN IF NOT EXISTS %I %s',
+        sync_managed_table(target_table), column_name, sync_allowed_column_type(column_type));
+END;
+$$;
+
+-- Rename a column of a sync-managed table (id and notion_id are never renamed)
+CREATE OR REPLACE FUNCTION sync_rename_column(target_table text, from_column text, to_column text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+BEGIN
+    IF from_column IN ('id', 'notion_id') THEN
+        RAISE EXCEPTION 'Column "%" cannot be renamed', from_column USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    EXECUTE format('ALTER TABLE %s RENAME COLUMN %I TO %I',
+        sync_managed_table(target_table), from_column, to_column);
+END;
+$$;
+
+-- Convert a column of a sync-managed table to another allowed type
+-- Only conversions that cannot silently lose data are supported; the USING expression is built here
+CREATE OR REPLACE FUNCTION sync_alter_column_type(target_table text, column_name text, column_type text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    target regclass := sync_managed_table(target_table);
+    new_type text := sync_allowed_column_type(column_type);
+    current_type text;
+    cast_expression text;
+BEGIN
+    SELECT format_type(a.atttypid, a.atttypmod) INTO current_type
+    FROM pg_attribute a
+    WHERE a.attrelid = target AND a.attname = column_name AND a.attnum > 0 AND NOT a.attisdropped;
+
+    IF current_type IS NULL THEN
+        RAISE EXCEPTION 'Column "%" does not exist', column_name USING ERRCODE = 'undefined_column';
+    END IF;
+
+    IF current_type = new_type THEN
+        RETURN;
+    END IF;
+
+    cast_expression := CASE
+        WHEN new_type = 'text' AND current_type = 'text[]' THEN format('array_to_string(%I, '', '')', column_name)
+        WHEN new_type = 'text' THEN format('%I::text', column_name)
+        WHEN current_type = 'text' AND new_type IN ('numeric', 'boolean', 'timestamp with time zone')
+            THEN format('NULLIF(trim(%I), '''')::%s', column_name, new_type)
+        WHEN current_type = 'text' AND new_type = 'text[]'
+            THEN format('CASE WHEN %1$I IS NULL THEN NULL ELSE ARRAY[%1$I] END', column_name)
+        WHEN current_type = 'boolean' AND new_type = 'numeric' THEN format('%I::int', column_name)
+    END;
+
+    IF cast_expression IS NULL THEN
+        RAISE EXCEPTION 'No automatic conversion from % to %', current_type, new_type USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    EXECUTE format('ALTER TABLE %s ALTER COLUMN %I TYPE %s USING %s', target, column_name, new_type, cast_expression);
+END;
+$$;
+
+-- Drop a column of a sync-managed table (id and notion_id are never dropped)
+CREATE OR REPLACE FUNCTION sync_drop_column(target_table text, column_name text)
 RETURNS void
 LANGUAGE plpgsql
 SECURITY DEFINER
+SET search_path = public, pg_catalog
 AS $$
 BEGIN
-    EXECUTE sql;
+    IF column_name IN ('id', 'notion_id') THEN
+        RAISE EXCEPTION 'Column "%" cannot be dropped', column_name USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    EXECUTE format('ALTER TABLE %s DROP COLUMN IF EXISTS %I', sync_managed_table(target_table), column_name);
 END;
 $$;
 
+-- Create the junction table <source_table>_<relation_column> for a relation property
+-- notion_id references the source row; related_id references the target row once it exists
+-- (links to pages that are not synced yet keep related_id NULL until they are)
+CREATE OR REPLACE FUNCTION sync_create_junction_table(source_table text, relation_column text, target_table text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    source regclass := sync_managed_table(source_table);
+    target regclass := sync_managed_table(target_table);
+    junction text := source_table || '_' || relation_column;
+BEGIN
+    IF length(junction) > 63 THEN
+        RAISE EXCEPTION 'Junction table name "%" is longer than 63 characters', junction USING ERRCODE = 'name_too_long';
+    END IF;
+
+    EXECUTE format(
+        'CREATE TABLE IF NOT EXISTS %I (
+            notion_id TEXT NOT NULL REFERENCES %s(notion_id) ON DELETE CASCADE,
+            related_notion_id TEXT NOT NULL,
+            related_id TEXT REFERENCES %s(notion_id) ON DELETE SET NULL,
+            position INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (notion_id, related_notion_id)
+        )', junction, source, target);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(related_id)', left(junction, 52) || '_related_idx', junction);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(related_notion_id) WHERE related_id IS NULL',
+        left(junction, 51) || '_dangling_idx', junction);
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', junction);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE schemaname = 'public' AND tablename = junction AND policyname = 'Allow service role full access'
+    ) THEN
+        EXECUTE format('CREATE POLICY "Allow service role full access" ON %I FOR ALL USING (auth.role() = ''service_role'')', junction);
+    END IF;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sync_allowed_column_type(text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_managed_table(text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_add_column(text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_rename_column(text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_alter_column_type(text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_drop_column(text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_add_column(text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION sync_rename_column(text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION sync_alter_column_type(text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION sync_drop_column(text, text) TO service_role;
+REVOKE ALL ON FUNCTION sync_create_junction_table(text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_create_junction_table(text, text, text) TO service_role;
+
+-- Function describing a table's columns and indexes from the catalog (for schema introspection)
+-- Returns NULL when the table does not exist in the public schema
+CREATE OR REPLACE FUNCTION sync_describe_table(target_table text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    target regclass := to_regclass(format('public.%I', target_table));
+BEGIN
+    IF target IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'columns', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'name', a.attname,
+                'type', format_type(a.atttypid, a.atttypmod),
+                'nullable', NOT a.attnotnull,
+                'default', pg_get_expr(d.adbin, d.adrelid)
+            ) ORDER BY a.attnum)
+            FROM pg_attribute a
+            LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+            WHERE a.attrelid = target AND a.attnum > 0 AND NOT a.attisdropped
+        ), '[]'::jsonb),
+        'indexes', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'name', c.relname,
+                'columns', (
+                    SELECT COALESCE(jsonb_agg(a.attname ORDER BY k.ord), '[]'::jsonb)
+                    FROM unnest(i.indkey) WITH ORDINALITY AS k(attnum, ord)
+                    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+                ),
+                'unique', i.indisunique,
+                'primary', i.indisprimary,
+                'definition', pg_get_indexdef(i.indexrelid)
+            ) ORDER BY c.relname)
+            FROM pg_index i
+            JOIN pg_class c ON c.oid = i.indexrelid
+            WHERE i.indrelid = target
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sync_describe_table(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_describe_table(text) TO service_role;
+
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -90,6 +452,13 @@ CREATE TRIGGER update_sync_state_updated_at
 -- Enable Row Level Security on both tables
 ALTER TABLE wheeltribe_content ENABLE ROW LEVEL SECURITY;
 ALTER TABLE sync_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sync_conflicts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sync_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sync_dead_letters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sync_property_map ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sync_managed_tables ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notion_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sync_assets ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for wheeltribe_content table
 CREATE POLICY "Allow service role full access" ON wheeltribe_content
@@ -105,15 +474,51 @@ CREATE POLICY "Allow service role full access" ON sync_state
 CREATE POLICY "Allow authenticated users full access" ON sync_state
     FOR ALL USING (auth.role() = 'authenticated');
 
+-- Create policies for sync_conflicts table
+CREATE POLICY "Allow service role full access" ON sync_conflicts
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Create policies for sync_runs table
+CREATE POLICY "Allow service role full access" ON sync_runs
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Create policies for sync_dead_letters table
+CREATE POLICY "Allow service role full access" ON sync_dead_letters
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Create policies for sync_property_map table
+CREATE POLICY "Allow service role full access" ON sync_property_map
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Create policies for notion_users table
+CREATE POLICY "Allow service role full access" ON notion_users
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Create policies for sync_assets table
+CREATE POLICY "Allow service role full access" ON sync_assets
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- sync_managed_tables is read-only for API roles: only the DDL functions consult it
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON sync_managed_tables FROM anon, authenticated, service_role;
+
 -- ============================================================================
 -- NOTES:
 -- ============================================================================
 --
--- 1. The exec_sql function allows the script to create columns automatically
--- 2. The sync_state table tracks the last sync time for each database
+-- 1. The sync_*_column functions let the sync change columns of tables listed in sync_managed_tables
+-- 2. The sync_state table tracks the last sync time for each sync profile
 -- 3. Indexes improve query performance for large datasets
 -- 4. Triggers automatically update the updated_at timestamp
 -- 5. RLS policies can be added for security (commented out by default)
 -- 6. Table renamed from notion_pages to wheeltribe_content for better naming
+-- 7. The sync_conflicts table records two-way sync conflicts for review
+-- 8. The sync_runs table keeps one row per sync run (pruned by `cleanup --days=N`)
+-- 9. The sync_dead_letters table quarantines failing pages for `retry-failed`
+-- 10. The checkpoint_* columns of sync_state let `sync --resume` continue an unfinished run
+-- 11. The sync_property_map table records which column each Notion property ID is stored in
+-- 12. sync_describe_table() reports real column types, nullability and indexes for schema diffing
+-- 13. sync_create_junction_table() creates <table>_<relation> tables for profiles with junctionTables
+-- 14. The notion_users table mirrors the Notion user directory; members who leave keep their row
+-- 15. The sync_assets table maps Notion file URLs (without signature) to content-addressed Storage objects
 --
 -- ============================================================================ 
\ No newline at end of file
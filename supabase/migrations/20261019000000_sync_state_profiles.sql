@@ -0,0 +1,13 @@
+-- Key incremental sync state by sync profile instead of Notion database ID.
+-- Existing rows are assigned to the 'default' profile used when no sync config is present.
+
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS profile TEXT;
+
+UPDATE sync_state SET profile = 'default' WHERE profile IS NULL;
+
+ALTER TABLE sync_state ALTER COLUMN profile SET NOT NULL;
+
+-- Several profiles may sync the same Notion database into different tables
+ALTER TABLE sync_state DROP CONSTRAINT IF EXISTS sync_state_database_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_state_profile ON sync_state(profile);
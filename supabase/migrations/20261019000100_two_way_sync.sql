@@ -0,0 +1,25 @@
+-- Two-way sync: push watermark and conflict log
+
+ALTER TABLE sync_state ADD COLUMN IF NOT EXISTS last_push_time TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    table_name TEXT NOT NULL,
+    notion_id TEXT NOT NULL,
+    policy TEXT NOT NULL,
+    winner TEXT NOT NULL,
+    columns TEXT[],
+    notion_values JSONB,
+    supabase_values JSONB,
+    notion_last_edited_time TIMESTAMP WITH TIME ZONE,
+    supabase_updated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_profile ON sync_conflicts(profile, created_at);
+
+ALTER TABLE sync_conflicts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow service role full access" ON sync_conflicts
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,27 @@
+-- Schedule the sync from Supabase with an authenticated request to /api/sync.
+--
+-- Store the endpoint and the shared token (same value as SYNC_API_TOKEN) in Vault first:
+--   SELECT vault.create_secret('https://<your-app>.vercel.app/api/sync', 'sync_api_url');
+--   SELECT vault.create_secret('<SYNC_API_TOKEN>', 'sync_api_token');
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+-- Replace any previous unauthenticated schedule
+SELECT cron.unschedule(jobid) FROM cron.job WHERE jobname = 'notion-supabase-sync';
+
+SELECT cron.schedule(
+    'notion-supabase-sync',
+    '0 */6 * * *',
+    $$
+    SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'sync_api_url'),
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'sync_api_token'),
+            'x-supabase-function', 'true'
+        ),
+        body := '{}'::jsonb
+    );
+    $$
+);
@@ -0,0 +1,29 @@
+-- Sync run history: one row per run with trigger, options, metrics and status
+
+-- Sync run history (one row per run)
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    database_id TEXT,
+    table_name TEXT,
+    trigger_source TEXT NOT NULL,
+    options JSONB,
+    status TEXT NOT NULL DEFAULT 'running',
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    total_fetched INTEGER DEFAULT 0,
+    total_transformed INTEGER DEFAULT 0,
+    total_synced INTEGER DEFAULT 0,
+    errors JSONB,
+    error_message TEXT,
+    result JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_profile_started_at ON sync_runs(profile, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at);
+
+ALTER TABLE sync_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow service role full access" ON sync_runs
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,24 @@
+-- Dead-letter table: pages that failed fetch, transform, content or upsert
+
+-- Dead-letter table for pages that failed a pipeline stage
+CREATE TABLE IF NOT EXISTS sync_dead_letters (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    table_name TEXT NOT NULL,
+    page_id TEXT NOT NULL,
+    stage TEXT NOT NULL,
+    error TEXT,
+    payload JSONB,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    first_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(profile, page_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_dead_letters_pending ON sync_dead_letters(profile, last_failed_at) WHERE resolved_at IS NULL;
+
+ALTER TABLE sync_dead_letters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow service role full access" ON sync_dead_letters
+    FOR ALL USING (auth.role() = 'service_role');
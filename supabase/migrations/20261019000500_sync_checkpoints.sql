@@ -0,0 +1,12 @@
+-- Checkpoints for resumable syncs: the Notion cursor and progress of an unfinished run.
+-- A profile may be checkpointed before its first sync completes, so last_sync_time becomes optional.
+
+ALTER TABLE sync_state ALTER COLUMN last_sync_time DROP NOT NULL;
+
+ALTER TABLE sync_state
+    ADD COLUMN IF NOT EXISTS checkpoint_cursor TEXT,
+    ADD COLUMN IF NOT EXISTS checkpoint_since TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS checkpoint_started_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS checkpoint_last_edited_time TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS checkpoint_pages INTEGER,
+    ADD COLUMN IF NOT EXISTS checkpoint_updated_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,27 @@
+-- Notion property ID → column mapping for schema drift handling.
+-- Renamed properties rename their column, type changes are cast or held for review
+-- (status 'review' with the requested type in pending_type), deleted properties are kept, archived or dropped.
+
+CREATE TABLE IF NOT EXISTS sync_property_map (
+    id BIGSERIAL PRIMARY KEY,
+    profile TEXT NOT NULL,
+    table_name TEXT NOT NULL,
+    property_id TEXT NOT NULL,
+    property_name TEXT NOT NULL,
+    notion_type TEXT,
+    column_name TEXT NOT NULL,
+    column_type TEXT NOT NULL,
+    pending_type TEXT,
+    companion_columns TEXT[] DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(profile, property_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_property_map_review ON sync_property_map(profile) WHERE status = 'review';
+
+ALTER TABLE sync_property_map ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow service role full access" ON sync_property_map
+    FOR ALL USING (auth.role() = 'service_role');
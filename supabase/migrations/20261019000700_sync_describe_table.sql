@@ -0,0 +1,51 @@
+-- Catalog introspection for schema diffing: column names, types, nullability, defaults and indexes
+-- of a synced table, replacing column detection from sample rows.
+
+CREATE OR REPLACE FUNCTION sync_describe_table(target_table text)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    target regclass := to_regclass(format('public.%I', target_table));
+BEGIN
+    IF target IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'columns', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'name', a.attname,
+                'type', format_type(a.atttypid, a.atttypmod),
+                'nullable', NOT a.attnotnull,
+                'default', pg_get_expr(d.adbin, d.adrelid)
+            ) ORDER BY a.attnum)
+            FROM pg_attribute a
+            LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+            WHERE a.attrelid = target AND a.attnum > 0 AND NOT a.attisdropped
+        ), '[]'::jsonb),
+        'indexes', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'name', c.relname,
+                'columns', (
+                    SELECT COALESCE(jsonb_agg(a.attname ORDER BY k.ord), '[]'::jsonb)
+                    FROM unnest(i.indkey) WITH ORDINALITY AS k(attnum, ord)
+                    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+                ),
+                'unique', i.indisunique,
+                'primary', i.indisprimary,
+                'definition', pg_get_indexdef(i.indexrelid)
+            ) ORDER BY c.relname)
+            FROM pg_index i
+            JOIN pg_class c ON c.oid = i.indexrelid
+            WHERE i.indrelid = target
+        ), '[]'::jsonb)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sync_describe_table(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_describe_table(text) TO service_role;
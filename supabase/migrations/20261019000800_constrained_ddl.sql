@@ -0,0 +1,165 @@
+-- Replace the unrestricted exec_sql function with narrow DDL functions: column types are checked
+-- against an allowlist, identifiers are quoted server-side, and only tables listed in
+-- sync_managed_tables can be changed. Register the table of every sync profile:
+--   INSERT INTO sync_managed_tables (table_name) VALUES ('your_table');
+
+CREATE TABLE IF NOT EXISTS sync_managed_tables (
+    table_name TEXT PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO sync_managed_tables (table_name)
+SELECT 'wheeltribe_content' WHERE to_regclass('public.wheeltribe_content') IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE sync_managed_tables ENABLE ROW LEVEL SECURITY;
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON sync_managed_tables FROM anon, authenticated, service_role;
+
+-- Column types the sync may create or convert to (canonical format_type names)
+-- Returns the canonical name, or raises for anything outside the allowlist
+CREATE OR REPLACE FUNCTION sync_allowed_column_type(column_type text)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    canonical text := format_type(to_regtype(column_type), NULL);
+BEGIN
+    IF canonical IS NULL OR canonical <> ALL (ARRAY[
+        'text', 'text[]', 'numeric', 'integer', 'bigint', 'double precision', 'boolean',
+        'date', 'timestamp with time zone', 'timestamp without time zone', 'jsonb', 'uuid'
+    ]) THEN
+        RAISE EXCEPTION 'Column type "%" is not allowed', column_type USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    RETURN canonical;
+END;
+$$;
+
+-- Resolve a table the sync may change (listed in sync_managed_tables), or raise
+CREATE OR REPLACE FUNCTION sync_managed_table(target_table text)
+RETURNS regclass
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    target regclass;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM sync_managed_tables WHERE table_name = target_table) THEN
+        RAISE EXCEPTION 'Table "%" is not a sync-managed table', target_table USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    target := to_regclass(format('public.%I', target_table));
+    IF target IS NULL THEN
+        RAISE EXCEPTION 'Table "%" does not exist', target_table USING ERRCODE = 'undefined_table';
+    END IF;
+
+    RETURN target;
+END;
+$$;
+
+-- Add a column to a sync-managed table
+CREATE OR REPLACE FUNCTION sync_add_column(target_table text, column_name text, column_type text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+BEGIN
+    EXECUTE format('ALTER TABLE %s ADD COLUMN IF NOT EXISTS %I %s',
+        sync_managed_table(target_table), column_name, sync_allowed_column_type(column_type));
+END;
+$$;
+
+-- Rename a column of a sync-managed table (id and notion_id are never renamed)
+CREATE OR REPLACE FUNCTION sync_rename_column(target_table text, from_column text, to_column text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+BEGIN
+    IF from_column IN ('id', 'notion_id') THEN
+        RAISE EXCEPTION 'Column "%" cannot be renamed', from_column USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    EXECUTE format('ALTER TABLE %s RENAME COLUMN %I TO %I',
+        sync_managed_table(target_table), from_column, to_column);
+END;
+$$;
+
+-- Convert a column of a sync-managed table to another allowed type
+-- Only conversions that cannot silently lose data are supported; the USING expression is built here
+CREATE OR REPLACE FUNCTION sync_alter_column_type(target_table text, column_name text, column_type text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    target regclass := sync_managed_table(target_table);
+    new_type text := sync_allowed_column_type(column_type);
+    current_type text;
+    cast_expression text;
+BEGIN
+    SELECT format_type(a.atttypid, a.atttypmod) INTO current_type
+    FROM pg_attribute a
+    WHERE a.attrelid = target AND a.attname = column_name AND a.attnum > 0 AND NOT a.attisdropped;
+
+    IF current_type IS NULL THEN
+        RAISE EXCEPTION 'Column "%" does not exist', column_name USING ERRCODE = 'undefined_column';
+    END IF;
+
+    IF current_type = new_type THEN
+        RETURN;
+    END IF;
+
+    cast_expression := CASE
+        WHEN new_type = 'text' AND current_type = 'text[]' THEN format('array_to_string(%I, '', '')', column_name)
+        WHEN new_type = 'text' THEN format('%I::text', column_name)
+        WHEN current_type = 'text' AND new_type IN ('numeric', 'boolean', 'timestamp with time zone')
+            THEN format('NULLIF(trim(%I), '''')::%s', column_name, new_type)
+        WHEN current_type = 'text' AND new_type = 'text[]'
+            THEN format('CASE WHEN %1$I IS NULL THEN NULL ELSE ARRAY[%1$I] END', column_name)
+        WHEN current_type = 'boolean' AND new_type = 'numeric' THEN format('%I::int', column_name)
+    END;
+
+    IF cast_expression IS NULL THEN
+        RAISE EXCEPTION 'No automatic conversion from % to %', current_type, new_type USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    EXECUTE format('ALTER TABLE %s ALTER COLUMN %I TYPE %s USING %s', target, column_name, new_type, cast_expression);
+END;
+$$;
+
+-- Drop a column of a sync-managed table (id and notion_id are never dropped)
+CREATE OR REPLACE FUNCTION sync_drop_column(target_table text, column_name text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+BEGIN
+    IF column_name IN ('id', 'notion_id') THEN
+        RAISE EXCEPTION 'Column "%" cannot be dropped', column_name USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    EXECUTE format('ALTER TABLE %s DROP COLUMN IF EXISTS %I', sync_managed_table(target_table), column_name);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sync_allowed_column_type(text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_managed_table(text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_add_column(text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_rename_column(text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_alter_column_type(text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION sync_drop_column(text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_add_column(text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION sync_rename_column(text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION sync_alter_column_type(text, text, text) TO service_role;
+GRANT EXECUTE ON FUNCTION sync_drop_column(text, text) TO service_role;
+
+DROP FUNCTION IF EXISTS exec_sql(text);
@@ -0,0 +1,45 @@
+-- Junction tables for relation properties (profiles with "junctionTables": true).
+-- Both the source and the related profile's table must be listed in sync_managed_tables.
+
+-- Create the junction table <source_table>_<relation_column> for a relation property
+-- notion_id references the source row; related_id references the target row once it exists
+-- (links to pages that are not synced yet keep related_id NULL until they are)
+CREATE OR REPLACE FUNCTION sync_create_junction_table(source_table text, relation_column text, target_table text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_catalog
+AS $$
+DECLARE
+    source regclass := sync_managed_table(source_table);
+    target regclass := sync_managed_table(target_table);
+    junction text := source_table || '_' || relation_column;
+BEGIN
+    IF length(junction) > 63 THEN
+        RAISE EXCEPTION 'Junction table name "%" is longer than 63 characters', junction USING ERRCODE = 'name_too_long';
+    END IF;
+
+    EXECUTE format(
+        'CREATE TABLE IF NOT EXISTS %I (
+            notion_id TEXT NOT NULL REFERENCES %s(notion_id) ON DELETE CASCADE,
+            related_notion_id TEXT NOT NULL,
+            related_id TEXT REFERENCES %s(notion_id) ON DELETE SET NULL,
+            position INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (notion_id, related_notion_id)
+        )', junction, source, target);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(related_id)', left(junction, 52) || '_related_idx', junction);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(related_notion_id) WHERE related_id IS NULL',
+        left(junction, 51) || '_dangling_idx', junction);
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', junction);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE schemaname = 'public' AND tablename = junction AND policyname = 'Allow service role full access'
+    ) THEN
+        EXECUTE format('CREATE POLICY "Allow service role full access" ON %I FOR ALL USING (auth.role() = ''service_role'')', junction);
+    END IF;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION sync_create_junction_table(text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_create_junction_table(text, text, text) TO service_role;
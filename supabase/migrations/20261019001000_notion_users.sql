@@ -0,0 +1,20 @@
+-- Notion user directory: workspace members and bots from users.list.
+-- Filled by `node index.js sync-users` and by every sync of a profile with syncUsers.
+-- Members who leave the workspace keep their row, so old people values still resolve.
+
+CREATE TABLE IF NOT EXISTS notion_users (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    email TEXT,
+    avatar_url TEXT,
+    type TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notion_users_email ON notion_users(email);
+
+ALTER TABLE notion_users ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow service role full access" ON notion_users
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,23 @@
+-- Asset cache for profiles with `assets`: Notion-hosted files mirrored into Supabase Storage.
+-- source_key is the Notion file URL without its expiring signature; objects are stored under
+-- <sha256 prefix>/<sha256>.<ext>, so the same content is uploaded once per bucket.
+-- The bucket itself is created in Storage (public, so the stored URLs resolve).
+
+CREATE TABLE IF NOT EXISTS sync_assets (
+    source_key TEXT PRIMARY KEY,
+    bucket TEXT NOT NULL,
+    storage_key TEXT NOT NULL,
+    sha256 TEXT NOT NULL,
+    public_url TEXT NOT NULL,
+    mime_type TEXT,
+    size_bytes BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_assets_sha256 ON sync_assets(bucket, sha256);
+
+ALTER TABLE sync_assets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow service role full access" ON sync_assets
+    FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../config/logger');
+const { mapWithConcurrency, DEFAULT_CONCURRENCY } = require('./concurrency');
+
+const DEFAULT_BUCKET = 'notion-assets';
+
+// Source keys per cache lookup (they are long URLs and end up in the request URL)
+const LOOKUP_CHUNK_SIZE = 20;
+
+// Notion signs file URLs for about an hour; a download that takes longer is abandoned
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Mirrors Notion-hosted files into Supabase Storage so `files` columns hold stable URLs
+ * Objects are stored under the SHA-256 of their content; the sync_assets table remembers
+ * which Notion file each object came from, so unchanged files are not downloaded again
+ */
+class AssetMirror {
+  /**
+   * @param {Object} supabaseService - SupabaseService instance
+   * @param {Object|boolean} assetsConfig - Profile `assets` setting; true uses the default bucket
+   * @param {string} assetsConfig.bucket - Storage bucket (public, so the stored URLs resolve)
+   * @param {number} assetsConfig.maxBytes - Largest file mirrored
+   * @param {Array<string>} assetsConfig.mimeTypes - Allowed MIME types, e.g. ["image/*", "application/pdf"]
+   * @param {number} assetsConfig.concurrency - Pages whose files are mirrored at a time
+   * @param {string} tableName - Asset cache table
+   */
+  constructor(supabaseService, assetsConfig = null, tableName = 'sync_assets') {
+    this.supabaseService = supabaseService;
+    this.supabase = supabaseService.client;
+    this.tableName = tableName;
+
+    const config = assetsConfig === true ? {} : (assetsConfig || null);
+    this.enabled = Boolean(config);
+    this.bucket = config?.bucket || DEFAULT_BUCKET;
+    this.maxBytes = config?.maxBytes ? parseInt(config.maxBytes) : null;
+    this.mimeTypes = config?.mimeTypes || null;
+    this.concurrency = parseInt(config?.concurrency || DEFAULT_CONCURRENCY);
+  }
+
+  /**
+   * Whether asset mirroring is enabled for the profile
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Stable identity of a Notion-hosted file: its URL without the expiring signature
+   * @param {string} url - Signed Notion file URL
+   * @returns {string} - Source key
+   */
+  static getSourceKey(url) {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  }
+
+  /**
+   * Content-addressed storage key, keeping the original file extension
+   * @param {string} sha256 - Hex SHA-256 of the file content
+   * @param {string} url - Notion file URL
+   * @returns {string} - Storage object key
+   */
+  static getStorageKey(sha256, url) {
+    const extension = path.extname(decodeURIComponent(new URL(url).pathname)).toLowerCase();
+    const suffix = /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '';
+    return `${sha256.slice(0, 2)}/${sha256}${suffix}`;
+  }
+
+  /**
+   * Check a MIME type against the configured allowlist (supports "type/*")
+   * @param {string} mimeType - MIME type without parameters
+   * @returns {boolean}
+   */
+  isAllowedType(mimeType) {
+    if (!this.mimeTypes) return true;
+
+    return this.mimeTypes.some(allowed => allowed.endsWith('/*')
+      ? mimeType.startsWith(allowed.slice(0, -1))
+      : mimeType === allowed);
+  }
+
+  /**
+   * Replace the signed URLs of Notion-hosted files in `files` properties with Storage URLs
+   * Files over the size limit or of a type that is not allowed keep their Notion URL
+   * @param {Array} pages - Raw Notion pages
+   * @returns {Promise<Object>} - { pages, errors, stats: { uploaded, reused, skipped } };
+   *   pages whose files cannot be mirrored are left out
+   */
+  async mirrorPages(pages) {
+    const stats = { uploaded: 0, reused: 0, skipped: 0 };
+    if (!this.enabled) return { pages, errors: [], stats };
+
+    const fileUrls = AssetMirror.getFileUrls(pages);
+    if (fileUrls.length === 0) return { pages, errors: [], stats };
+
+    const cache = await this.getCachedAssets(fileUrls.map(url => AssetMirror.getSourceKey(url)));
+    const mirrored = [];
+    const errors = [];
+
+    const results = await mapWithConcurrency(pages, this.concurrency, page =>
+      AssetMirror.rewriteFileUrls(page, url => this.mirrorFile(url, cache, stats))
+    );
+
+    results.forEach((result, index) => {
+      if (result.success) {
+        mirrored.push(result.data);
+      } else {
+        const pageId = pages[index].id;
+        logger.error('Error mirroring page files', { pageId, error: result.error.message });
+        errors.push({ pageId, stage: 'assets', error: `Could not mirror files: ${result.error.message}` });
+      }
+    });
+
+    logger.info('Page files mirrored', { bucket: this.bucket, ...stats, errors: errors.length });
+    return { pages: mirrored, errors, stats };
+  }
+
+  /**
+   * Rewrite file URLs the way mirrorPages would, without downloading or uploading anything
+   * Dry runs use this so their diff compares the Storage URLs a real run would write. Files
+   * not mirrored before keep their Notion URL and are counted as uploads.
+   * @param {Array} pages - Raw Notion pages
+   * @returns {Promise<Object>} - { pages, errors, stats: { uploaded, reused, skipped } }
+   */
+  async previewPages(pages) {
+    const stats = { uploaded: 0, reused: 0, skipped: 0 };
+    if (!this.enabled) return { pages, errors: [], stats };
+
+    const fileUrls = AssetMirror.getFileUrls(pages);
+    if (fileUrls.length === 0) return { pages, errors: [], stats };
+
+    const cache = await this.getCachedAssets(fileUrls.map(url => AssetMirror.getSourceKey(url)));
+    const previewed = [];
+    for (const page of pages) {
+      previewed.push(await AssetMirror.rewriteFileUrls(page, async url => {
+        const asset = cache.get(AssetMirror.getSourceKey(url)) || null;
+        if (asset) {
+          stats.reused++;
+        } else {
+          stats.uploaded++;
+        }
+        return asset;
+      }));
+    }
+
+    return { pages: previewed, errors: [], stats };
+  }
+
+  /**
+   * Signed URLs of the Notion-hosted files in `files` properties
+   * @param {Array} pages - Raw Notion pages
+   * @returns {Array<string>} - File URLs
+   */
+  static getFileUrls(pages) {
+    return pages.flatMap(page => Object.values(page.properties || {})
+      .filter(property => property.type === 'files')
+      .flatMap(property => (property.files || []).filter(file => file.type === 'file' && file.file?.url))
+      .map(file => file.file.url));
+  }
+
+  /**
+   * Copy a page with the URL of each Notion-hosted file replaced by its asset's public URL
+   * @param {Object} page - Raw Notion page
+   * @param {Function} resolveAsset - Async function from file URL to sync_assets row, or null to keep the URL
+   * @returns {Promise<Object>} - Page with rewritten `files` properties
+   */
+  static async rewriteFileUrls(page, resolveAsset) {
+    const properties = { ...page.properties };
+
+    for (const [propertyName, property] of Object.entries(properties)) {
+      if (property.type !== 'files' || !Array.isArray(property.files)) continue;
+
+      const files = [];
+      for (const file of property.files) {
+        if (file.type !== 'file' || !file.file?.url) {
+          files.push(file);
+          continue;
+        }
+
+        const asset = await resolveAsset(file.file.url);
+        files.push(asset ? { ...file, file: { ...file.file, url: asset.public_url } } : file);
+      }
+
+      properties[propertyName] = { ...property, files };
+    }
+
+    return { ...page, properties };
+  }
+
+  /**
+   * Mirror one Notion-hosted file, reusing the cached object when the file was mirrored before
+   * @param {string} url - Signed Notion file URL
+   * @param {Map} cache - Source key → sync_assets row, updated with new uploads
+   * @param {Object} stats - Counters to update
+   * @returns {Promise<Object|null>} - sync_assets row, or null when the file is skipped by a limit
+   */
+  async mirrorFile(url, cache, stats) {
+    const sourceKey = AssetMirror.getSourceKey(url);
+    if (cache.has(sourceKey)) {
+      stats.reused++;
+      return cache.get(sourceKey);
+    }
+
+    const download = await this.download(url);
+    if (download.skipped) {
+      logger.warn('File not mirrored', { sourceKey, reason: download.skipped });
+      stats.skipped++;
+      return null;
+    }
+
+    const sha256 = crypto.createHash('sha256').update(download.body).digest('hex');
+    const storageKey = AssetMirror.getStorageKey(sha256, url);
+
+    // The same content uploaded again under a new Notion URL maps to the existing object
+    const stored = await this.isStored(sha256);
+    if (!stored) {
+      const { error: uploadError } = await this.supabaseService.request(() => this.supabase.storage
+        .from(this.bucket)
+        .upload(storageKey, download.body, { contentType: download.mimeType, upsert: false }));
+
+      if (uploadError && !/already exists|duplicate/i.test(uploadError.message)) {
+        throw new Error(`Upload to bucket '${this.bucket}' failed: ${uploadError.message}`);
+      }
+    }
+
+    const asset = {
+      source_key: sourceKey,
+      bucket: this.bucket,
+      storage_key: storageKey,
+      sha256,
+      public_url: this.supabase.storage.from(this.bucket).getPublicUrl(storageKey).data.publicUrl,
+      mime_type: download.mimeType,
+      size_bytes: download.body.length
+    };
+
+    const { error } = await this.supabaseService.request(() => this.supabase
+      .from(this.tableName)
+      .upsert({ ...asset, last_seen_at: new Date().toISOString() }, { onConflict: 'source_key' }));
+
+    if (error) {
+      // The object is stored; without the cache row the file is only downloaded again next time
+      logger.warn('Could not record mirrored file', { sourceKey, error: error.message });
+    }
+
+    cache.set(sourceKey, asset);
+    if (stored) {
+      stats.reused++;
+    } else {
+      stats.uploaded++;
+    }
+    return asset;
+  }
+
+  /**
+   * Check whether content is already in the bucket
+   * @param {string} sha256 - Hex SHA-256 of the file content
+   * @returns {Promise<boolean>}
+   */
+  async isStored(sha256) {
+    const { data, error } = await this.supabaseService.request(() => this.supabase
+      .from(this.tableName)
+      .select('storage_key')
+      .eq('bucket', this.bucket)
+      .eq('sha256', sha256)
+      .limit(1));
+
+    // Unknown content is uploaded; an existing object is then reported by Storage
+    return !error && (data || []).length > 0;
+  }
+
+  /**
+   * Download a file, enforcing the size and MIME type limits
+   * @param {string} url - Signed Notion file URL
+   * @returns {Promise<Object>} - { body, mimeType }, or { skipped } with the reason
+   */
+  async download(url) {
+    const timeout = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+    // An aborted run also cancels the download
+    const runSignal = this.supabaseService.signal;
+    const response = await fetch(url, { signal: runSignal ? AbortSignal.any([timeout, runSignal]) : timeout });
+    if (!response.ok) {
+      throw new Error(`Download failed with HTTP ${response.status}`);
+    }
+
+    const mimeType = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+    const declaredSize = parseInt(response.headers.get('content-length') || '0');
+
+    if (!this.isAllowedType(mimeType)) {
+      await response.body?.cancel();
+      return { skipped: `type ${mimeType} is not allowed` };
+    }
+    if (this.maxBytes && declaredSize > this.maxBytes) {
+      await response.body?.cancel();
+      return { skipped: `${declaredSize} bytes exceeds maxBytes ${this.maxBytes}` };
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+    if (this.maxBytes && body.length > this.maxBytes) {
+      return { skipped: `${body.length} bytes exceeds maxBytes ${this.maxBytes}` };
+    }
+
+    return { body, mimeType };
+  }
+
+  /**
+   * Look up files mirrored before into the configured bucket
+   * @param {Array<string>} sourceKeys - Source keys from getSourceKey
+   * @returns {Promise<Map>} - Source key → sync_assets row
+   */
+  async getCachedAssets(sourceKeys) {
+    const uniqueKeys = [...new Set(sourceKeys)];
+    const cache = new Map();
+
+    for (let i = 0; i < uniqueKeys.length; i += LOOKUP_CHUNK_SIZE) {
+      const { data, error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .select('source_key, bucket, storage_key, sha256, public_url, mime_type, size_bytes')
+        .eq('bucket', this.bucket)
+        .in('source_key', uniqueKeys.slice(i, i + LOOKUP_CHUNK_SIZE)));
+
+      if (error) {
+        // Without the cache every file is downloaded again, but stored under the same key
+        logger.warn('Could not read the asset cache', { error: error.message, tableName: this.tableName });
+        return cache;
+      }
+
+      (data || []).forEach(row => cache.set(row.source_key, row));
+    }
+
+    return cache;
+  }
+}
+
+module.exports = AssetMirror;
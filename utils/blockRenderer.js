@@ -0,0 +1,188 @@
+const { richTextToMarkdown, richTextToPlainText } = require('./richText');
+
+/**
+ * Get the URL of a file-like block (image, video, file, pdf)
+ * @param {Object} value - Block type payload
+ * @returns {string} - File URL
+ */
+function getFileUrl(value) {
+  if (!value) return '';
+  return value.type === 'external' ? value.external?.url || '' : value.file?.url || '';
+}
+
+/**
+ * Indent every line of a text block
+ * @param {string} text - Text to indent
+ * @param {string} prefix - Line prefix
+ * @returns {string} - Indented text
+ */
+function indentLines(text, prefix) {
+  return text
+    .split('\n')
+    .map(line => (line ? `${prefix}${line}` : line))
+    .join('\n');
+}
+
+/**
+ * Render a table block (with table_row children) as a Markdown table
+ * @param {Object} block - Notion table block
+ * @returns {string} - Markdown table
+ */
+function renderTable(block) {
+  const rows = (block.children || [])
+    .filter(child => child.type === 'table_row')
+    .map(row => row.table_row.cells.map(cell => richTextToMarkdown(cell).replace(/\|/g, '\\|')));
+
+  if (rows.length === 0) return '';
+
+  const width = block.table?.table_width || rows[0].length;
+  const formatRow = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  const separator = `| ${Array.from({ length: width }, () => '---').join(' | ')} |`;
+
+  return [formatRow(rows[0]), separator, ...rows.slice(1).map(formatRow)].join('\n');
+}
+
+/**
+ * Render a single block as Markdown
+ * @param {Object} block - Notion block with optional children
+ * @param {number} listNumber - Position within a numbered list
+ * @returns {string} - Markdown text
+ */
+function renderMarkdownBlock(block, listNumber) {
+  const value = block[block.type] || {};
+  const text = richTextToMarkdown(value.rich_text);
+  const children = block.children && block.type !== 'table'
+    ? blocksToMarkdown(block.children)
+    : '';
+
+  switch (block.type) {
+    case 'paragraph':
+      return children ? `${text}\n\n${indentLines(children, '  ')}` : text;
+    case 'heading_1':
+      return `# ${text}`;
+    case 'heading_2':
+      return `## ${text}`;
+    case 'heading_3':
+      return `### ${text}`;
+    case 'bulleted_list_item':
+      return children ? `- ${text}\n${indentLines(children, '  ')}` : `- ${text}`;
+    case 'numbered_list_item':
+      return children ? `${listNumber}. ${text}\n${indentLines(children, '   ')}` : `${listNumber}. ${text}`;
+    case 'to_do': {
+      const item = `- [${value.checked ? 'x' : ' '}] ${text}`;
+      return children ? `${item}\n${indentLines(children, '  ')}` : item;
+    }
+    case 'toggle':
+      return children ? `- ${text}\n${indentLines(children, '  ')}` : `- ${text}`;
+    case 'quote':
+      return indentLines(children ? `${text}\n\n${children}` : text, '> ');
+    case 'callout': {
+      const icon = value.icon?.type === 'emoji' ? `${value.icon.emoji} ` : '';
+      return indentLines(children ? `${icon}${text}\n\n${children}` : `${icon}${text}`, '> ');
+    }
+    case 'code':
+      return `\`\`\`${value.language || ''}\n${richTextToPlainText(value.rich_text)}\n\`\`\``;
+    case 'equation':
+      return `$$\n${value.expression || ''}\n$$`;
+    case 'divider':
+      return '---';
+    case 'image': {
+      const caption = richTextToPlainText(value.caption);
+      return `![${caption}](${getFileUrl(value)})`;
+    }
+    case 'video':
+    case 'file':
+    case 'pdf':
+    case 'audio': {
+      const caption = richTextToPlainText(value.caption) || value.name || block.type;
+      return `[${caption}](${getFileUrl(value)})`;
+    }
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview': {
+      const caption = richTextToPlainText(value.caption) || value.url;
+      return value.url ? `[${caption}](${value.url})` : '';
+    }
+    case 'table':
+      return renderTable(block);
+    case 'child_page':
+      return `**${value.title || 'Untitled'}**`;
+    case 'child_database':
+      return `**${value.title || 'Untitled database'}**`;
+    case 'column_list':
+    case 'column':
+    case 'synced_block':
+      return children;
+    default:
+      return children || text;
+  }
+}
+
+/**
+ * Render a block tree as Markdown
+ * @param {Array} blocks - Notion blocks with nested children arrays
+ * @returns {string} - Markdown document
+ */
+function blocksToMarkdown(blocks) {
+  if (!Array.isArray(blocks)) return '';
+
+  const parts = [];
+  let listNumber = 0;
+  let previousType = null;
+
+  for (const block of blocks) {
+    listNumber = block.type === 'numbered_list_item' ? listNumber + 1 : 0;
+
+    const rendered = renderMarkdownBlock(block, listNumber);
+    if (rendered === '') {
+      previousType = block.type;
+      continue;
+    }
+
+    // Consecutive list items stay on adjacent lines, everything else is separated by a blank line
+    const isListItem = ['bulleted_list_item', 'numbered_list_item', 'to_do', 'toggle'].includes(block.type);
+    const separator = parts.length === 0 ? '' : (isListItem && previousType === block.type ? '\n' : '\n\n');
+
+    parts.push(separator + rendered);
+    previousType = block.type;
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Render a block tree as plain text
+ * @param {Array} blocks - Notion blocks with nested children arrays
+ * @returns {string} - Plain text, one block per line
+ */
+function blocksToPlainText(blocks) {
+  if (!Array.isArray(blocks)) return '';
+
+  const lines = [];
+
+  for (const block of blocks) {
+    const value = block[block.type] || {};
+
+    if (block.type === 'table_row') {
+      lines.push(value.cells.map(richTextToPlainText).join('\t'));
+    } else if (block.type === 'equation') {
+      lines.push(value.expression || '');
+    } else if (block.type === 'child_page' || block.type === 'child_database') {
+      lines.push(value.title || '');
+    } else if (Array.isArray(value.rich_text)) {
+      lines.push(richTextToPlainText(value.rich_text));
+    }
+
+    if (block.children) {
+      const childText = blocksToPlainText(block.children);
+      if (childText) lines.push(childText);
+    }
+  }
+
+  return lines.filter(line => line !== '').join('\n');
+}
+
+module.exports = {
+  blocksToMarkdown,
+  blocksToPlainText
+};
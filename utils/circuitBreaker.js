@@ -0,0 +1,184 @@
+const logger = require('../config/logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Consecutive upstream failures that open the circuit
+const DEFAULT_FAILURE_THRESHOLD = 5;
+
+// How long an open circuit rejects calls before letting a probe through
+const DEFAULT_RESET_TIMEOUT_MS = 30 * 1000;
+
+// Breakers shared by every service talking to the same upstream
+const sharedBreakers = new Map();
+
+/**
+ * Circuit breaker for one upstream service (Notion, Supabase)
+ * After `failureThreshold` consecutive upstream failures the circuit opens and calls fail
+ * immediately instead of each spending its full retry backoff. Once `resetTimeoutMs` has
+ * passed, one probe call is let through (half-open): success closes the circuit, failure
+ * opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Upstream name used in logs and errors
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - Time the circuit stays open before a probe
+   * @param {Function} options.isFailure - Decides whether an error counts against the upstream
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = parseInt(options.failureThreshold || process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || DEFAULT_FAILURE_THRESHOLD);
+    this.resetTimeoutMs = parseInt(options.resetTimeoutMs || process.env.CIRCUIT_BREAKER_RESET_MS || DEFAULT_RESET_TIMEOUT_MS);
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+  }
+
+  /**
+   * Get the breaker shared by all callers of the same upstream
+   * @param {string} name - Upstream name, e.g. "notion" or "supabase:<host>"
+   * @param {Object} options - Breaker options, used when the breaker is created
+   * @returns {CircuitBreaker}
+   */
+  static shared(name, options = {}) {
+    if (!sharedBreakers.has(name)) {
+      sharedBreakers.set(name, new CircuitBreaker(name, options));
+    }
+    return sharedBreakers.get(name);
+  }
+
+  /**
+   * Whether an error was raised by an open circuit
+   * @param {Error} error - Error to check
+   * @returns {boolean}
+   */
+  static isOpenError(error) {
+    return error?.code === 'CIRCUIT_OPEN';
+  }
+
+  /**
+   * Whether a call was cut off by an aborted run, which says nothing about the upstream
+   * @param {Error} error - Error to check
+   * @returns {boolean}
+   */
+  static isAbortError(error) {
+    return error?.code === 'SYNC_ABORTED' || error?.name === 'AbortError';
+  }
+
+  /**
+   * Current state, moving an open circuit to half-open once its reset timeout has passed
+   * @returns {string} - closed, open or half_open
+   */
+  getState() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      this.probing = false;
+      logger.info('Circuit half-open, probing upstream', { upstream: this.name });
+    }
+    return this.state;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function calling the upstream
+   * @param {Object} options - Call options
+   * @param {Function} options.isFailure - Overrides the breaker's failure check for this call
+   * @returns {Promise<any>} - Function result
+   */
+  async execute(fn, options = {}) {
+    const { isFailure = this.isFailure } = options;
+    const state = this.getState();
+
+    if (state === STATES.OPEN || (state === STATES.HALF_OPEN && this.probing)) {
+      throw this.createOpenError();
+    }
+
+    // Only one probe goes out while half-open; the others are rejected until it returns
+    const probe = state === STATES.HALF_OPEN;
+    if (probe) this.probing = true;
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure(error);
+      } else if (!CircuitBreaker.isAbortError(error)) {
+        // A client error (validation, not found) still means the upstream answered
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (probe) this.probing = false;
+    }
+  }
+
+  /**
+   * Close the circuit after a successful call
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info('Circuit closed, upstream recovered', { upstream: this.name });
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+  }
+
+  /**
+   * Count an upstream failure, opening the circuit at the threshold or when a probe fails
+   * @param {Error} error - Failure
+   */
+  recordFailure(error) {
+    this.failures++;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      logger.error('Circuit opened, failing calls fast', {
+        upstream: this.name,
+        failures: this.failures,
+        resetTimeoutMs: this.resetTimeoutMs,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Error thrown for calls rejected by an open circuit
+   * @returns {Error}
+   */
+  createOpenError() {
+    const retryInMs = Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+    const error = new Error(`${this.name} is unavailable (circuit open after ${this.failures} consecutive failures, next probe in ${Math.ceil(retryInMs / 1000)}s)`);
+    error.code = 'CIRCUIT_OPEN';
+    error.upstream = this.name;
+    error.retryInMs = retryInMs;
+    return error;
+  }
+
+  /**
+   * Breaker state for sync results and health checks
+   * @returns {Object} - { state, failures, openedAt }
+   */
+  getStatus() {
+    const state = this.getState();
+    return {
+      state,
+      failures: this.failures,
+      openedAt: state === STATES.CLOSED ? null : new Date(this.openedAt).toISOString()
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
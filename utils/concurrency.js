@@ -0,0 +1,40 @@
+/**
+ * Bounded-concurrency helpers for per-page fan-out
+ */
+
+// Parallel operations when nothing is configured; Notion calls are paced by the rate limiter anyway
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Run an async function over items with at most `concurrency` calls in flight
+ * Results keep the order of the items, and a failing item does not stop the others
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum calls in flight
+ * @param {Function} fn - Async function receiving (item, index)
+ * @returns {Promise<Array>} - { index, success: true, data } or { index, success: false, error } per item
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { index, success: true, data: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { index, success: false, error };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(parseInt(concurrency) || DEFAULT_CONCURRENCY, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+  DEFAULT_CONCURRENCY
+};
@@ -20,28 +20,28 @@ function transformNotionProperty(notionProperty) {
         return extractTextContent(propertyData.rich_text);
       
       case 'select':
-        return propertyData.select?.name || null;
+        return propertyData.select?.name ?? null;
       
       case 'multi_select':
-        return propertyData.multi_select?.map(item => item.name) || [];
+        return propertyData.multi_select?.map(item => item.name) ?? [];
       
       case 'date':
-        return propertyData.date?.start || null;
+        return transformDate(propertyData.date)?.start ?? null;
       
       case 'checkbox':
-        return propertyData.checkbox || false;
+        return propertyData.checkbox ?? false;
       
       case 'number':
-        return propertyData.number || null;
+        return propertyData.number ?? null;
       
       case 'url':
-        return propertyData.url || null;
+        return propertyData.url ?? null;
       
       case 'email':
-        return propertyData.email || null;
+        return propertyData.email ?? null;
       
       case 'phone_number':
-        return propertyData.phone_number || null;
+        return propertyData.phone_number ?? null;
       
       case 'files':
         return transformFiles(propertyData.files);
@@ -50,7 +50,7 @@ function transformNotionProperty(notionProperty) {
         return transformPeople(propertyData.people);
       
       case 'relation':
-        return propertyData.relation?.map(rel => rel.id) || [];
+        return propertyData.relation?.map(rel => rel.id) ?? [];
       
       case 'formula':
         return transformFormula(propertyData.formula);
@@ -59,19 +59,19 @@ function transformNotionProperty(notionProperty) {
         return transformRollup(propertyData.rollup);
       
       case 'created_time':
-        return propertyData.created_time || null;
+        return propertyData.created_time ?? null;
       
       case 'created_by':
-        return propertyData.created_by?.id || null;
+        return propertyData.created_by?.id ?? null;
       
       case 'last_edited_time':
-        return propertyData.last_edited_time || null;
+        return propertyData.last_edited_time ?? null;
       
       case 'last_edited_by':
-        return propertyData.last_edited_by?.id || null;
+        return propertyData.last_edited_by?.id ?? null;
       
       case 'status':
-        return propertyData.status?.name || null;
+        return propertyData.status?.name ?? null;
       
       default:
         logger.warn(`Unknown Notion property type: ${type}`, { propertyData });
@@ -86,6 +86,93 @@ function transformNotionProperty(notionProperty) {
   }
 }
 
+/**
+ * Notion property types that can be written back from Supabase values
+ */
+const WRITABLE_PROPERTY_TYPES = [
+  'title', 'rich_text', 'select', 'multi_select', 'date', 'checkbox',
+  'number', 'url', 'email', 'phone_number', 'status'
+];
+
+/**
+ * Build Notion rich text objects from a string, respecting the 2000 character limit per item
+ * @param {string} text - Text content
+ * @returns {Array} - Notion rich text array
+ */
+function buildRichText(text) {
+  if (text === null || text === undefined || text === '') return [];
+
+  const content = String(text);
+  const chunks = [];
+  for (let i = 0; i < content.length; i += 2000) {
+    chunks.push({ type: 'text', text: { content: content.slice(i, i + 2000) } });
+  }
+  return chunks;
+}
+
+/**
+ * Format a timestamp for Notion, using a date-only value for midnight UTC
+ * Date-only Notion properties are stored as midnight UTC timestamps
+ * @param {string} value - Timestamp
+ * @returns {string} - Notion date string
+ */
+function toNotionDate(value) {
+  const iso = new Date(value).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * Transform a Supabase column value back into a Notion property value
+ * Inverse of transformNotionProperty for the writable property types
+ * @param {string} type - Notion property type
+ * @param {any} value - Supabase column value
+ * @param {Object} companions - Companion column values ({ end } for date ranges)
+ * @returns {Object|null} - Notion property value, or null for unsupported types
+ */
+function toNotionPropertyValue(type, value, companions = {}) {
+  switch (type) {
+    case 'title':
+      return { title: buildRichText(value) };
+
+    case 'rich_text':
+      return { rich_text: buildRichText(value) };
+
+    case 'select':
+      return { select: value ? { name: String(value) } : null };
+
+    case 'multi_select':
+      return { multi_select: (Array.isArray(value) ? value : []).map(name => ({ name: String(name) })) };
+
+    case 'date':
+      return {
+        date: value
+          ? { start: toNotionDate(value), end: companions.end ? toNotionDate(companions.end) : null }
+          : null
+      };
+
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+
+    case 'number':
+      return { number: value === null || value === undefined || value === '' ? null : Number(value) };
+
+    case 'url':
+      return { url: value || null };
+
+    case 'email':
+      return { email: value || null };
+
+    case 'phone_number':
+      return { phone_number: value || null };
+
+    case 'status':
+      return value ? { status: { name: String(value) } } : null;
+
+    default:
+      return null;
+  }
+}
+
 /**
  * Extract text content from Notion text arrays
  * @param {Array} textArray - Array of Notion text objects
@@ -100,6 +187,119 @@ function extractTextContent(textArray) {
     .trim();
 }
 
+/**
+ * Convert a wall-clock date-time in a named time zone to a UTC timestamp
+ * Notion omits the offset when a date property has an explicit time zone
+ * @param {string} dateTime - Notion date string
+ * @param {string|null} timeZone - IANA time zone name
+ * @returns {string} - UTC ISO timestamp, or the input when it is date-only or already has an offset
+ */
+function zonedTimeToUtc(dateTime, timeZone) {
+  if (!timeZone || dateTime.length <= 10 || /(Z|[+-]\d{2}:\d{2})$/i.test(dateTime)) {
+    return dateTime;
+  }
+
+  // Read the wall clock in the time zone at the same instant to find its UTC offset
+  const asUtc = new Date(`${dateTime}Z`);
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(asUtc).map(part => [part.type, part.value]));
+
+  const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return new Date(asUtc.getTime() - (zonedAsUtc - asUtc.getTime())).toISOString();
+}
+
+/**
+ * Normalize a Notion date value, keeping the end of ranges and the time zone
+ * @param {Object} date - Notion date object ({ start, end, time_zone })
+ * @returns {Object|null} - { start, end, timeZone } with UTC timestamps, or null when empty
+ */
+function transformDate(date) {
+  if (!date?.start) return null;
+
+  return {
+    start: zonedTimeToUtc(date.start, date.time_zone),
+    end: date.end ? zonedTimeToUtc(date.end, date.time_zone) : null,
+    timeZone: date.time_zone ?? null
+  };
+}
+
+/**
+ * Get the date object held by a date property or a date formula/rollup result
+ * @param {Object} notionProperty - The Notion property object
+ * @returns {Object|null} - Notion date object
+ */
+function getPropertyDate(notionProperty) {
+  if (!hasDateValue(notionProperty)) return null;
+  return notionProperty.type === 'date' ? notionProperty.date : notionProperty[notionProperty.type].date;
+}
+
+/**
+ * Whether a property value holds a date, possibly empty (a date property or a date formula/rollup result)
+ * @param {Object} notionProperty - The Notion property object
+ * @returns {boolean}
+ */
+function hasDateValue(notionProperty) {
+  switch (notionProperty?.type) {
+    case 'date':
+      return true;
+    case 'formula':
+    case 'rollup':
+      return notionProperty[notionProperty.type]?.type === 'date';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Transform a property into its column value plus date and format companion columns
+ * @param {string} columnName - Column for the property
+ * @param {Object} notionProperty - The Notion property object
+ * @param {Object} options - Property options from the profile's `properties` config
+ * @param {Object} context - Transform context
+ * @param {Map} context.users - Notion user directory for people JSON columns
+ * @returns {Object} - Column name → value
+ */
+function transformPropertyColumns(columnName, notionProperty, options = {}, context = {}) {
+  const columns = { [columnName]: transformNotionProperty(notionProperty) };
+
+  if (notionProperty?.type && options.formats) {
+    const formats = SchemaManager.getFormats(notionProperty.type);
+    const value = notionProperty[notionProperty.type];
+    for (const formatColumn of SchemaManager.getFormatColumns(columnName, notionProperty.type, options.formats)) {
+      columns[formatColumn.name] = formats[formatColumn.format].render(value, context);
+    }
+  }
+
+  // Companions are always written, so a range turned back into a single date (or a time zone
+  // removed in Notion) clears the stored end and time zone instead of leaving them stale
+  if (hasDateValue(notionProperty)) {
+    const date = transformDate(getPropertyDate(notionProperty));
+    for (const companion of SchemaManager.getDateCompanionColumns(columnName)) {
+      columns[companion.name] = date ? date[companion.field] : null;
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Check whether a transformed value is empty (null, empty string or empty list)
+ * @param {any} value - Transformed value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
 /**
  * Transform Notion files to URLs
  * @param {Array} files - Array of Notion file objects
@@ -141,13 +341,13 @@ function transformFormula(formula) {
   
   switch (type) {
     case 'string':
-      return formulaData.string || '';
+      return formulaData.string ?? null;
     case 'number':
-      return formulaData.number || null;
+      return formulaData.number ?? null;
     case 'boolean':
-      return formulaData.boolean || false;
+      return formulaData.boolean ?? null;
     case 'date':
-      return formulaData.date?.start || null;
+      return transformDate(formulaData.date)?.start ?? null;
     default:
       return null;
   }
@@ -165,11 +365,11 @@ function transformRollup(rollup) {
   
   switch (type) {
     case 'array':
-      return rollupData.array?.map(item => transformNotionProperty(item)) || [];
+      return rollupData.array?.map(item => transformNotionProperty(item)) ?? [];
     case 'number':
-      return rollupData.number || null;
+      return rollupData.number ?? null;
     case 'date':
-      return rollupData.date?.start || null;
+      return transformDate(rollupData.date)?.start ?? null;
     default:
       return null;
   }
@@ -178,20 +378,38 @@ function transformRollup(rollup) {
 /**
  * Clean and format data for Supabase insertion
  * @param {Object} notionPage - Raw Notion page data
+ * @param {Object} propertiesConfig - Per-property options from the profile's `properties` config
+ * @param {Object} context - Transform context (users: Notion user directory for people JSON columns)
  * @returns {Object} - Cleaned and formatted data
  */
-function transformNotionPage(notionPage) {
+function transformNotionPage(notionPage, propertiesConfig = {}, context = {}) {
   try {
     const { id, created_time, last_edited_time, properties, ...otherProps } = notionPage;
     
     // Transform all properties
     const transformedProperties = {};
+    // Date companion columns keep explicit nulls so cleared ends and time zones reach the table
+    const companionColumns = new Set();
     for (const [key, value] of Object.entries(properties)) {
-      const transformedValue = transformNotionProperty(value);
-      if (transformedValue !== null) {
-        // Use SchemaManager for consistent property name conversion
-        const cleanKey = SchemaManager.convertToSnakeCase(key);
-        transformedProperties[cleanKey] = transformedValue;
+      const options = SchemaManager.getPropertyOptions(propertiesConfig, key, value?.id);
+      if (options.ignore) continue;
+
+      // Use SchemaManager for consistent property → column mapping
+      const cleanKey = SchemaManager.getColumnName(key, value?.id, options);
+      const columns = transformPropertyColumns(cleanKey, value, options, context);
+
+      if (options.default !== undefined && isEmptyValue(columns[cleanKey])) {
+        columns[cleanKey] = options.default;
+      }
+
+      if (hasDateValue(value)) {
+        SchemaManager.getDateCompanionColumns(cleanKey).forEach(companion => companionColumns.add(companion.name));
+      }
+
+      for (const [column, transformedValue] of Object.entries(columns)) {
+        if (transformedValue !== null || companionColumns.has(column)) {
+          transformedProperties[column] = transformedValue;
+        }
       }
     }
     
@@ -215,10 +433,10 @@ function transformNotionPage(notionPage) {
       ...filteredOtherProps
     };
     
-    // Remove null and undefined values
+    // Remove null and undefined values (except date companions)
     const cleanedData = Object.fromEntries(
-      Object.entries(transformedData).filter(([_, value]) => 
-        value !== null && value !== undefined
+      Object.entries(transformedData).filter(([key, value]) => 
+        (value !== null && value !== undefined) || companionColumns.has(key)
       )
     );
     
@@ -232,6 +450,15 @@ function transformNotionPage(notionPage) {
   }
 }
 
+/**
+ * Check whether a Notion page has been archived or moved to trash
+ * @param {Object} notionPage - Raw Notion page data
+ * @returns {boolean} - Whether the page was removed in Notion
+ */
+function isPageRemoved(notionPage) {
+  return Boolean(notionPage?.archived || notionPage?.in_trash);
+}
+
 /**
  * Validate transformed data before insertion
  * @param {Object} data - Transformed data
@@ -253,7 +480,12 @@ function validateTransformedData(data) {
 
 module.exports = {
   transformNotionProperty,
+  transformPropertyColumns,
+  transformDate,
   transformNotionPage,
   validateTransformedData,
+  isPageRemoved,
+  toNotionPropertyValue,
+  WRITABLE_PROPERTY_TYPES,
   extractTextContent
 }; 
\ No newline at end of file
@@ -0,0 +1,132 @@
+const logger = require('../config/logger');
+
+/**
+ * Dead-letter table for pages that failed a pipeline stage
+ * One row per profile and page; a page that fails again updates its row
+ */
+class DeadLetterQueue {
+  constructor(supabaseService, tableName = 'sync_dead_letters') {
+    this.supabaseService = supabaseService;
+    this.supabase = supabaseService.client;
+    this.tableName = tableName;
+  }
+
+  /**
+   * Quarantine failed pages
+   * @param {string} profileName - Sync profile name
+   * @param {string} targetTable - Synced table the pages belong to
+   * @param {Array<Object>} failures - { pageId, stage, error, payload }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async quarantine(profileName, targetTable, failures) {
+    if (failures.length === 0) return true;
+
+    try {
+      const pageIds = failures.map(failure => failure.pageId);
+
+      // Carry the attempt counter over from earlier failures of the same page
+      const { data: existing, error: selectError } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .select('page_id, attempts')
+        .eq('profile', profileName)
+        .in('page_id', pageIds));
+
+      if (selectError) {
+        logger.warn('Could not read previous dead letters', { error: selectError, profileName });
+      }
+
+      const attemptsByPage = new Map((existing || []).map(row => [row.page_id, row.attempts || 0]));
+      const now = new Date().toISOString();
+
+      const { error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .upsert(failures.map(failure => ({
+          profile: profileName,
+          table_name: targetTable,
+          page_id: failure.pageId,
+          stage: failure.stage,
+          error: failure.error,
+          payload: failure.payload || null,
+          attempts: (attemptsByPage.get(failure.pageId) || 0) + 1,
+          last_failed_at: now,
+          resolved_at: null
+        })), {
+          onConflict: 'profile,page_id'
+        }));
+
+      if (error) {
+        logger.error('Error quarantining failed pages', { error, profileName, count: failures.length });
+        return false;
+      }
+
+      logger.warn('Failed pages quarantined', {
+        profileName,
+        count: failures.length,
+        stages: [...new Set(failures.map(failure => failure.stage))]
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error in quarantine', { error: error.message, profileName });
+      return false;
+    }
+  }
+
+  /**
+   * Get unresolved dead letters for a profile
+   * @param {string} profileName - Sync profile name
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array>} - Dead-letter rows
+   */
+  async getPending(profileName, limit = 500) {
+    try {
+      const { data, error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('profile', profileName)
+        .is('resolved_at', null)
+        .order('last_failed_at', { ascending: true })
+        .limit(limit));
+
+      if (error) {
+        logger.error('Error fetching dead letters', { error, profileName });
+        return [];
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error in getPending', { error: error.message, profileName });
+      return [];
+    }
+  }
+
+  /**
+   * Mark dead letters as resolved
+   * @param {string} profileName - Sync profile name
+   * @param {Array<string>} pageIds - Page IDs that now sync successfully
+   * @returns {Promise<boolean>} - Success status
+   */
+  async resolve(profileName, pageIds) {
+    if (pageIds.length === 0) return true;
+
+    try {
+      const { error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .update({ resolved_at: new Date().toISOString() })
+        .eq('profile', profileName)
+        .in('page_id', pageIds));
+
+      if (error) {
+        logger.error('Error resolving dead letters', { error, profileName });
+        return false;
+      }
+
+      logger.info('Dead letters resolved', { profileName, count: pageIds.length });
+      return true;
+    } catch (error) {
+      logger.error('Error in resolve', { error: error.message, profileName });
+      return false;
+    }
+  }
+}
+
+module.exports = DeadLetterQueue;
@@ -0,0 +1,185 @@
+const logger = require('../config/logger');
+
+const DELETION_POLICIES = ['none', 'hard-delete', 'soft-delete', 'flag'];
+
+// Keep .in() filters well below PostgREST URL length limits
+const ID_CHUNK_SIZE = 100;
+
+/**
+ * Propagates pages removed from Notion (archived, trashed or deleted) to Supabase
+ */
+class DeletionReconciler {
+  /**
+   * @param {Object} notionService - NotionService instance
+   * @param {Object} supabaseService - SupabaseService instance
+   * @param {Object} options - Reconciliation options
+   * @param {string} options.databaseId - Notion database ID
+   * @param {string} options.tableName - Supabase table name
+   * @param {string} options.policy - One of DELETION_POLICIES
+   * @param {number} options.pageSize - Notion query page size
+   */
+  constructor(notionService, supabaseService, options = {}) {
+    this.notionService = notionService;
+    this.supabaseService = supabaseService;
+    this.databaseId = options.databaseId;
+    this.tableName = options.tableName;
+    this.policy = options.policy || 'none';
+    this.pageSize = options.pageSize || 100;
+  }
+
+  /**
+   * Check whether a deletion policy name is supported
+   * @param {string} policy - Deletion policy
+   * @returns {boolean} - Whether the policy is valid
+   */
+  static isValidPolicy(policy) {
+    return DELETION_POLICIES.includes(policy);
+  }
+
+  /**
+   * Column definitions the policy needs in the synced table
+   * @param {string} policy - Deletion policy
+   * @returns {Array} - Column definitions
+   */
+  static getRequiredColumns(policy) {
+    if (policy === 'soft-delete') {
+      return [{ name: 'deleted_at', type: 'TIMESTAMP WITH TIME ZONE', originalName: 'deleted_at', notionType: null }];
+    }
+    return [];
+  }
+
+  /**
+   * Whether reconciliation is enabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.policy !== 'none';
+  }
+
+  /**
+   * Find Notion IDs stored in Supabase that no longer exist in the Notion database
+   * @returns {Promise<Array<string>>} - Missing page IDs
+   */
+  async findMissingPageIds() {
+    const filter = this.policy === 'soft-delete'
+      ? { deleted_at: { operator: 'is', value: null } }
+      : {};
+
+    const [notionIds, storedIds] = await Promise.all([
+      this.notionService.getAllDatabasePageIds(this.databaseId, { pageSize: this.pageSize }),
+      this.supabaseService.getColumnValues(this.tableName, 'notion_id', { filter })
+    ]);
+
+    const liveIds = new Set(notionIds);
+    const missingIds = storedIds.filter(id => id && !liveIds.has(id));
+
+    logger.info('Deletion reconciliation compared page IDs', {
+      tableName: this.tableName,
+      notionPages: notionIds.length,
+      storedRows: storedIds.length,
+      missing: missingIds.length
+    });
+
+    return missingIds;
+  }
+
+  /**
+   * Apply the deletion policy to pages that were removed from Notion
+   * @param {Array<string>} pageIds - Removed page IDs
+   * @param {Object} options - Apply options
+   * @param {boolean} options.dryRun - Report without changing data
+   * @returns {Promise<Object>} - Reconciliation result
+   */
+  async applyPolicy(pageIds, options = {}) {
+    const { dryRun = false } = options;
+
+    const result = {
+      policy: this.policy,
+      removed: pageIds.length,
+      deleted: 0,
+      softDeleted: 0,
+      flagged: [],
+      dryRun
+    };
+
+    if (!this.isEnabled() || pageIds.length === 0) {
+      return result;
+    }
+
+    if (this.policy === 'flag' || dryRun) {
+      result.flagged = pageIds;
+      logger.warn('Pages removed from Notion', {
+        tableName: this.tableName,
+        policy: this.policy,
+        dryRun,
+        count: pageIds.length,
+        pageIds: pageIds.slice(0, 20)
+      });
+      return result;
+    }
+
+    for (let i = 0; i < pageIds.length; i += ID_CHUNK_SIZE) {
+      const chunk = pageIds.slice(i, i + ID_CHUNK_SIZE);
+      const filter = { notion_id: { operator: 'in', value: chunk } };
+
+      if (this.policy === 'hard-delete') {
+        await this.supabaseService.deleteData(this.tableName, filter);
+        result.deleted += chunk.length;
+      } else if (this.policy === 'soft-delete') {
+        await this.supabaseService.updateData(this.tableName, { deleted_at: new Date().toISOString() }, filter);
+        result.softDeleted += chunk.length;
+      }
+    }
+
+    logger.warn('Deletion policy applied', {
+      tableName: this.tableName,
+      policy: this.policy,
+      deleted: result.deleted,
+      softDeleted: result.softDeleted
+    });
+
+    return result;
+  }
+
+  /**
+   * Run a reconciliation pass
+   * @param {Object} options - Reconciliation options
+   * @param {boolean} options.dryRun - Report without changing data
+   * @param {Array<string>} options.removedPageIds - Pages already known to be archived or trashed
+   * @param {boolean} options.fullScan - Compare every Notion page ID with the stored rows
+   * @returns {Promise<Object|null>} - Reconciliation result, or null when disabled
+   */
+  async reconcile(options = {}) {
+    const {
+      dryRun = false,
+      removedPageIds = [],
+      fullScan = true
+    } = options;
+
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const pageIds = new Set(removedPageIds);
+
+      if (fullScan) {
+        const missingIds = await this.findMissingPageIds();
+        missingIds.forEach(id => pageIds.add(id));
+      }
+
+      return await this.applyPolicy([...pageIds], { dryRun });
+    } catch (error) {
+      logger.error('Deletion reconciliation failed', {
+        tableName: this.tableName,
+        policy: this.policy,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+DeletionReconciler.POLICIES = DELETION_POLICIES;
+
+module.exports = DeletionReconciler;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+/**
+ * Read the raw request body, needed to verify request signatures
+ * Falls back to the parsed body when the stream was already consumed
+ * @param {Object} req - HTTP request
+ * @returns {Promise<string>} - Raw body
+ */
+async function readRawBody(req) {
+  if (typeof req.rawBody === 'string') return req.rawBody;
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString('utf8');
+
+  if (req.readableEnded || req.complete) {
+    if (req.body === undefined || req.body === null) return '';
+    return typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+
+  const rawBody = Buffer.concat(chunks).toString('utf8');
+  req.rawBody = rawBody;
+  return rawBody;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - Whether the values are equal
+ */
+function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+
+  if (bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Compute a hex HMAC-SHA256 digest
+ * @param {string} secret - Signing secret
+ * @param {string} payload - Payload to sign
+ * @returns {string} - Hex digest
+ */
+function hmacSha256(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+module.exports = {
+  readRawBody,
+  safeCompare,
+  hmacSha256
+};
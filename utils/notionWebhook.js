@@ -0,0 +1,75 @@
+const { safeCompare, hmacSha256 } = require('./http');
+
+const PAGE_UPSERT_EVENTS = [
+  'page.created',
+  'page.properties_updated',
+  'page.content_updated',
+  'page.undeleted',
+  'page.moved'
+];
+
+const PAGE_DELETE_EVENTS = ['page.deleted'];
+
+/**
+ * Verify the X-Notion-Signature header of a webhook request
+ * @param {string} rawBody - Raw request body
+ * @param {string} signatureHeader - Value of X-Notion-Signature (sha256=<hex>)
+ * @param {string} secret - Webhook verification token
+ * @returns {boolean} - Whether the signature is valid
+ */
+function verifyNotionSignature(rawBody, signatureHeader, secret) {
+  if (!secret || !signatureHeader) return false;
+
+  const expected = `sha256=${hmacSha256(secret, rawBody)}`;
+  return safeCompare(signatureHeader, expected);
+}
+
+/**
+ * Normalize a Notion ID so hyphenated and compact forms compare equal
+ * @param {string} id - Notion ID
+ * @returns {string} - Normalized ID
+ */
+function normalizeNotionId(id) {
+  return (id || '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Describe what a webhook event requires from the sync
+ * @param {Object} event - Parsed webhook event
+ * @returns {Object|null} - { action, pageId, databaseId }, or null for events that are ignored
+ */
+function parsePageEvent(event) {
+  if (!event || event.entity?.type !== 'page') return null;
+
+  let action = null;
+  if (PAGE_UPSERT_EVENTS.includes(event.type)) action = 'upsert';
+  if (PAGE_DELETE_EVENTS.includes(event.type)) action = 'delete';
+  if (!action) return null;
+
+  const parent = event.data?.parent;
+
+  return {
+    action,
+    type: event.type,
+    pageId: event.entity.id,
+    databaseId: parent?.type === 'database' ? parent.id : null
+  };
+}
+
+/**
+ * Find the profiles that sync a Notion database
+ * @param {Array<Object>} profiles - Sync profiles
+ * @param {string} databaseId - Notion database ID
+ * @returns {Array<Object>} - Matching profiles
+ */
+function findProfilesForDatabase(profiles, databaseId) {
+  const target = normalizeNotionId(databaseId);
+  return profiles.filter(profile => normalizeNotionId(profile.notionDatabaseId) === target);
+}
+
+module.exports = {
+  verifyNotionSignature,
+  normalizeNotionId,
+  parsePageEvent,
+  findProfilesForDatabase
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { verifyNotionSignature, parsePageEvent, normalizeNotionId } = require('./notionWebhook');
+
+const SECRET = 'secret_webhook_verification_token';
+const PAGE_ID = '1a2b3c4d-0000-4000-8000-000000000001';
+const DATABASE_ID = '9f8e7d6c-0000-4000-8000-000000000002';
+
+/**
+ * Sign a body the way Notion does: sha256=<hex HMAC of the raw body>
+ */
+function sign(rawBody, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+/**
+ * Build a page event with a database parent
+ */
+function pageEvent(type, overrides = {}) {
+  return {
+    type,
+    entity: { id: PAGE_ID, type: 'page' },
+    data: { parent: { id: DATABASE_ID, type: 'database' } },
+    ...overrides
+  };
+}
+
+describe('verifyNotionSignature', () => {
+  const rawBody = JSON.stringify(pageEvent('page.properties_updated'));
+
+  it('accepts a valid signature', () => {
+    expect(verifyNotionSignature(rawBody, sign(rawBody), SECRET)).toBe(true);
+  });
+
+  it('rejects a tampered body', () => {
+    const tampered = rawBody.replace('properties_updated', 'deleted');
+    expect(verifyNotionSignature(tampered, sign(rawBody), SECRET)).toBe(false);
+  });
+
+  it('rejects a signature made with another token', () => {
+    expect(verifyNotionSignature(rawBody, sign(rawBody, 'another-token'), SECRET)).toBe(false);
+  });
+
+  it.each([
+    ['missing', undefined],
+    ['empty', ''],
+    ['without the sha256= prefix', sign(rawBody).slice('sha256='.length)],
+    ['with another algorithm', sign(rawBody).replace('sha256=', 'sha1=')],
+    ['truncated', sign(rawBody).slice(0, -2)],
+    ['not hex', `sha256=${'z'.repeat(64)}`]
+  ])('rejects a %s header', (label, header) => {
+    expect(verifyNotionSignature(rawBody, header, SECRET)).toBe(false);
+  });
+
+  it('rejects every request when no verification token is configured', () => {
+    expect(verifyNotionSignature(rawBody, sign(rawBody, ''), '')).toBe(false);
+  });
+});
+
+describe('parsePageEvent', () => {
+  it.each([
+    'page.created',
+    'page.properties_updated',
+    'page.content_updated',
+    'page.undeleted',
+    'page.moved'
+  ])('upserts the page for %s', type => {
+    expect(parsePageEvent(pageEvent(type))).toEqual({
+      action: 'upsert',
+      type,
+      pageId: PAGE_ID,
+      databaseId: DATABASE_ID
+    });
+  });
+
+  it('deletes the page for page.deleted', () => {
+    expect(parsePageEvent(pageEvent('page.deleted'))).toEqual({
+      action: 'delete',
+      type: 'page.deleted',
+      pageId: PAGE_ID,
+      databaseId: DATABASE_ID
+    });
+  });
+
+  it('has no database for pages outside a database', () => {
+    const event = pageEvent('page.created', { data: { parent: { id: PAGE_ID, type: 'page' } } });
+    expect(parsePageEvent(event).databaseId).toBeNull();
+  });
+
+  it.each([
+    ['an unhandled page event', pageEvent('page.locked')],
+    ['a database event', pageEvent('database.schema_updated', { entity: { id: DATABASE_ID, type: 'database' } })],
+    ['a comment event', pageEvent('comment.created', { entity: { id: PAGE_ID, type: 'comment' } })],
+    ['a verification request', { verification_token: 'secret_abc' }],
+    ['no event', null]
+  ])('ignores %s', (label, event) => {
+    expect(parsePageEvent(event)).toBeNull();
+  });
+});
+
+describe('normalizeNotionId', () => {
+  it('matches hyphenated and compact IDs', () => {
+    expect(normalizeNotionId(PAGE_ID)).toBe(normalizeNotionId(PAGE_ID.replace(/-/g, '').toUpperCase()));
+  });
+});
@@ -0,0 +1,119 @@
+const logger = require('../config/logger');
+const { blocksToMarkdown, blocksToPlainText } = require('./blockRenderer');
+const { mapWithConcurrency } = require('./concurrency');
+
+const DEFAULT_CONTENT_COLUMNS = {
+  markdownColumn: 'content_md',
+  textColumn: 'content_text',
+  jsonColumn: 'content_json'
+};
+
+/**
+ * Fetches page bodies (block content) and renders them into configurable columns
+ */
+class PageContentSync {
+  /**
+   * @param {Object} notionService - NotionService instance
+   * @param {Object|boolean} contentConfig - Profile `content` setting; true enables every default column
+   */
+  constructor(notionService, contentConfig = null) {
+    this.notionService = notionService;
+
+    const config = contentConfig === true ? DEFAULT_CONTENT_COLUMNS : (contentConfig || {});
+    this.markdownColumn = config.markdownColumn || null;
+    this.textColumn = config.textColumn || null;
+    this.jsonColumn = config.jsonColumn || null;
+    this.maxDepth = config.maxDepth || 10;
+  }
+
+  /**
+   * Whether any content column is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.markdownColumn || this.textColumn || this.jsonColumn);
+  }
+
+  /**
+   * Column definitions for the configured content columns
+   * @returns {Array} - Column definitions
+   */
+  getColumnDefinitions() {
+    const columns = [];
+
+    if (this.markdownColumn) {
+      columns.push({ name: this.markdownColumn, type: 'TEXT', originalName: this.markdownColumn, notionType: null });
+    }
+    if (this.textColumn) {
+      columns.push({ name: this.textColumn, type: 'TEXT', originalName: this.textColumn, notionType: null });
+    }
+    if (this.jsonColumn) {
+      columns.push({ name: this.jsonColumn, type: 'JSONB', originalName: this.jsonColumn, notionType: null });
+    }
+
+    return columns;
+  }
+
+  /**
+   * Fetch and render the body of a page
+   * @param {string} pageId - Notion page ID
+   * @returns {Promise<Object>} - Column values keyed by column name
+   */
+  async renderPage(pageId) {
+    const blocks = await this.notionService.getBlockTree(pageId, { maxDepth: this.maxDepth });
+    const values = {};
+
+    if (this.markdownColumn) {
+      values[this.markdownColumn] = blocksToMarkdown(blocks);
+    }
+    if (this.textColumn) {
+      values[this.textColumn] = blocksToPlainText(blocks);
+    }
+    if (this.jsonColumn) {
+      values[this.jsonColumn] = blocks;
+    }
+
+    return values;
+  }
+
+  /**
+   * Attach rendered page content to transformed rows
+   * Rows whose content cannot be fetched are dropped so stale content is not overwritten
+   * Pages are fetched `notionService.concurrency` at a time; rows keep their order
+   * @param {Array<Object>} rows - Transformed rows with notion_id
+   * @returns {Promise<Object>} - { rows, errors }
+   */
+  async attachContent(rows) {
+    if (!this.isEnabled()) {
+      return { rows, errors: [] };
+    }
+
+    const enrichedRows = [];
+    const errors = [];
+
+    const results = await mapWithConcurrency(rows, this.notionService.concurrency, row => this.renderPage(row.notion_id));
+
+    results.forEach((result, index) => {
+      const row = rows[index];
+      if (result.success) {
+        enrichedRows.push({ ...row, ...result.data });
+      } else {
+        errors.push({ pageId: row.notion_id, error: result.error.message });
+        logger.error('Error fetching page content', {
+          pageId: row.notion_id,
+          error: result.error.message
+        });
+      }
+    });
+
+    logger.info('Page content fetched', {
+      total: rows.length,
+      successful: enrichedRows.length,
+      errors: errors.length
+    });
+
+    return { rows: enrichedRows, errors };
+  }
+}
+
+module.exports = PageContentSync;
@@ -0,0 +1,62 @@
+/**
+ * Structured values for people, created_by and last_edited_by properties
+ */
+
+// Property types whose values are Notion users
+const PEOPLE_TYPES = ['people', 'created_by', 'last_edited_by'];
+
+/**
+ * Reduce a Notion user object to the fields stored in the notion_users table
+ * @param {Object} user - Notion user object (from users.list or a page property)
+ * @returns {Object} - { id, name, email, avatar_url, type }
+ */
+function toUserRecord(user) {
+  return {
+    id: user.id,
+    name: user.name ?? null,
+    email: user.person?.email ?? null,
+    avatar_url: user.avatar_url ?? null,
+    type: user.type ?? null
+  };
+}
+
+/**
+ * Describe a user by ID, name and email
+ * Page properties often carry only the user ID, so the directory is preferred;
+ * guests are not in the directory and keep whatever the page provides
+ * @param {Object} user - Notion user object from a page property
+ * @param {Map} users - User ID → record from UserDirectory.getUsers
+ * @returns {Object} - { id, name, email }
+ */
+function describeUser(user, users) {
+  const record = users?.get(user.id) || toUserRecord(user);
+  return { id: user.id, name: record.name, email: record.email };
+}
+
+/**
+ * Render a people, created_by or last_edited_by value as JSON
+ * @param {Array|Object} value - Notion user list (people) or user object
+ * @param {Object} context - Transform context
+ * @param {Map} context.users - User ID → record from UserDirectory.getUsers
+ * @returns {Array|Object|null} - { id, name, email } entries, or one entry for created_by/last_edited_by
+ */
+function peopleToJson(value, context = {}) {
+  if (Array.isArray(value)) {
+    return value.filter(user => user?.id).map(user => describeUser(user, context.users));
+  }
+  return value?.id ? describeUser(value, context.users) : null;
+}
+
+/**
+ * Export formats for people properties: column suffix, column type and renderer
+ */
+const PEOPLE_FORMATS = {
+  json: { suffix: '_json', type: 'JSONB', render: peopleToJson }
+};
+
+module.exports = {
+  toUserRecord,
+  peopleToJson,
+  PEOPLE_TYPES,
+  PEOPLE_FORMATS
+};
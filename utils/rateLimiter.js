@@ -0,0 +1,148 @@
+const { setTimeout: delayFor } = require('timers/promises');
+const logger = require('../config/logger');
+
+// Notion allows an average of about three requests per second per integration
+const DEFAULT_REQUESTS_PER_SECOND = 3;
+
+// Limiters shared by every NotionService using the same integration token
+const sharedLimiters = new Map();
+
+/**
+ * Token bucket scheduler for Notion API calls
+ * Tokens refill at `requestsPerSecond` up to `burst`; a caller that finds the bucket empty
+ * reserves the next token and waits for it, so waiting requests are served in order.
+ * A 429 response pauses every caller until its Retry-After has passed.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerSecond - Average request rate
+   * @param {number} options.burst - Requests allowed back to back after an idle period
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = parseFloat(options.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND);
+    this.burst = parseInt(options.burst || Math.max(1, Math.floor(this.requestsPerSecond)));
+
+    // Bucket state kept as the time the bucket is empty again (GCRA): each request moves it
+    // one interval ahead, and a request may go once it is at most `burst - 1` intervals ahead
+    this.intervalMs = 1000 / this.requestsPerSecond;
+    this.emptyAt = 0;
+    this.pausedUntil = 0;
+
+    this.metrics = {
+      requests: 0,
+      throttled: 0,
+      waitMs: 0,
+      rateLimited: 0,
+      retryAfterMs: 0
+    };
+  }
+
+  /**
+   * Get the limiter shared by all callers with the same key (the Notion token)
+   * @param {string} key - Sharing key
+   * @param {Object} options - Limiter options, used when the limiter is created
+   * @returns {RateLimiter}
+   */
+  static shared(key, options = {}) {
+    if (!sharedLimiters.has(key)) {
+      sharedLimiters.set(key, new RateLimiter(options));
+    }
+    return sharedLimiters.get(key);
+  }
+
+  /**
+   * Parse a Retry-After header value (seconds or an HTTP date)
+   * @param {string|number|null} value - Header value
+   * @returns {number|null} - Milliseconds to wait, or null when absent or invalid
+   */
+  static parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Reserve the next token
+   * @returns {number} - Milliseconds until the reserved token is available
+   */
+  reserve() {
+    const now = Date.now();
+    const startAt = Math.max(now, this.emptyAt - (this.burst - 1) * this.intervalMs, this.pausedUntil);
+    this.emptyAt = Math.max(this.emptyAt, startAt) + this.intervalMs;
+    return startAt - now;
+  }
+
+  /**
+   * Wait until a request may be sent
+   * @param {AbortSignal|null} signal - Stops waiting when the run is aborted
+   * @returns {Promise<void>}
+   */
+  async acquire(signal = null) {
+    this.metrics.requests++;
+    let waitMs = this.reserve();
+
+    if (waitMs > 0) {
+      this.metrics.throttled++;
+    }
+
+    while (waitMs > 0) {
+      this.metrics.waitMs += Math.round(waitMs);
+      await delayFor(waitMs, undefined, signal ? { signal } : undefined);
+
+      // A 429 received while waiting sends the request back into the queue behind the pause
+      waitMs = this.pausedUntil > Date.now() ? this.reserve() : 0;
+    }
+  }
+
+  /**
+   * Run a request within the rate limit
+   * @param {Function} fn - Async function sending one request
+   * @param {AbortSignal|null} signal - Stops waiting for a token when the run is aborted
+   * @returns {Promise<any>} - Function result
+   */
+  async schedule(fn, signal = null) {
+    await this.acquire(signal);
+    return await fn();
+  }
+
+  /**
+   * Record a 429 response and hold every caller back until Retry-After has passed
+   * @param {number|null} retryAfterMs - Delay requested by the API
+   */
+  recordRateLimited(retryAfterMs) {
+    this.metrics.rateLimited++;
+    if (!retryAfterMs) return;
+
+    this.metrics.retryAfterMs += retryAfterMs;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfterMs);
+
+    logger.warn('Notion rate limit reached, pausing requests', { retryAfterMs });
+  }
+
+  /**
+   * Throttling metrics, optionally relative to an earlier snapshot
+   * @param {Object|null} since - Snapshot from an earlier getMetrics call
+   * @returns {Object} - { requests, throttled, waitMs, rateLimited, retryAfterMs, requestsPerSecond, pausedUntil }
+   */
+  getMetrics(since = null) {
+    const metrics = {};
+    for (const [name, value] of Object.entries(this.metrics)) {
+      metrics[name] = value - (since?.[name] || 0);
+    }
+
+    return {
+      ...metrics,
+      requestsPerSecond: this.requestsPerSecond,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+RateLimiter.DEFAULT_REQUESTS_PER_SECOND = DEFAULT_REQUESTS_PER_SECOND;
+
+module.exports = RateLimiter;
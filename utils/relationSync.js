@@ -0,0 +1,372 @@
+const logger = require('../config/logger');
+const SchemaManager = require('./schemaManager');
+const { loadProfiles } = require('../config/syncProfiles');
+const { findProfilesForDatabase } = require('./notionWebhook');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Related page IDs per existence lookup (they end up in the request URL)
+const LOOKUP_CHUNK_SIZE = 100;
+
+// Dangling links read per page when they are re-checked at the end of a sync
+const DANGLING_BATCH_SIZE = 1000;
+
+/**
+ * Relation properties: completes relations truncated by the Notion API and, with
+ * `junctionTables` enabled, mirrors them into <table>_<relation> junction tables whose
+ * foreign keys point at the rows of the profile that syncs the related database
+ */
+class RelationSync {
+  /**
+   * @param {Object} notionService - NotionService instance
+   * @param {Object} supabaseService - SupabaseService instance
+   * @param {Object} options - Relation options
+   * @param {string} options.tableName - Synced table
+   * @param {boolean} options.junctionTables - Profile `junctionTables` setting
+   * @param {Array<Object>} options.profiles - Sync profiles used to find related tables (loaded when omitted)
+   */
+  constructor(notionService, supabaseService, options = {}) {
+    this.notionService = notionService;
+    this.supabaseService = supabaseService;
+    this.tableName = options.tableName;
+    this.enabled = Boolean(options.junctionTables);
+    this.profiles = options.profiles || null;
+
+    // Junction tables that exist and receive links, set by ensureJunctionTables
+    this.junctions = [];
+  }
+
+  /**
+   * Whether junction tables are enabled for the profile
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Build the SQL that creates a junction table (used in plan-schema migrations)
+   * @param {Object} junction - Junction from getJunctions
+   * @returns {string} - SQL statement
+   */
+  static createJunctionTableStatement(junction) {
+    const literal = value => `'${String(value).replace(/'/g, "''")}'`;
+    return `SELECT sync_create_junction_table(${literal(junction.sourceTable)}, ${literal(junction.column)}, ${literal(junction.targetTable)})`;
+  }
+
+  /**
+   * List the junction tables for the relation properties of a schema
+   * Relations to databases that no profile syncs keep only their TEXT[] column
+   * @param {Object} databaseSchema - Notion database schema with property options applied
+   * @returns {Array} - { propertyName, propertyId, column, sourceTable, junctionTable, targetTable }
+   */
+  getJunctions(databaseSchema) {
+    if (!this.enabled) return [];
+
+    const profiles = this.profiles || loadProfiles();
+    const junctions = [];
+
+    for (const [propertyName, propertyConfig] of Object.entries(databaseSchema.properties || {})) {
+      if (propertyConfig.type !== 'relation' || propertyConfig.options?.ignore) continue;
+
+      const [targetProfile] = findProfilesForDatabase(profiles, propertyConfig.relation?.database_id);
+      if (!targetProfile) {
+        logger.debug('Related database is not synced, skipping junction table', { propertyName });
+        continue;
+      }
+
+      const column = SchemaManager.getColumnName(propertyName, propertyConfig.id, propertyConfig.options || {});
+      const junctionTable = `${this.tableName}_${column}`;
+
+      // Postgres truncates longer identifiers, which would silently merge junction tables
+      if (junctionTable.length > 63) {
+        logger.warn('Junction table name is too long, skipping', { propertyName, junctionTable });
+        continue;
+      }
+
+      junctions.push({
+        propertyName,
+        propertyId: propertyConfig.id,
+        column,
+        sourceTable: this.tableName,
+        junctionTable,
+        targetTable: targetProfile.tableName
+      });
+    }
+
+    return junctions;
+  }
+
+  /**
+   * List the junction tables that do not exist yet
+   * @param {Object} databaseSchema - Notion database schema with property options applied
+   * @returns {Promise<Array>} - Junctions from getJunctions
+   */
+  async getMissingJunctions(databaseSchema) {
+    const missing = [];
+
+    for (const junction of this.getJunctions(databaseSchema)) {
+      if (!await this.supabaseService.describeTable(junction.junctionTable)) {
+        missing.push(junction);
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Create missing junction tables and remember the ones links can be written to
+   * @param {Object} databaseSchema - Notion database schema with property options applied
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Report without creating tables
+   * @returns {Promise<Object>} - { junctions, created, errors }
+   */
+  async ensureJunctionTables(databaseSchema, options = {}) {
+    const { dryRun = false } = options;
+    const result = { junctions: [], created: [], errors: [] };
+
+    for (const junction of this.getJunctions(databaseSchema)) {
+      if (await this.supabaseService.describeTable(junction.junctionTable)) {
+        result.junctions.push(junction);
+        continue;
+      }
+
+      if (dryRun) {
+        result.created.push(junction.junctionTable);
+        continue;
+      }
+
+      try {
+        await this.supabaseService.callDdlFunction('sync_create_junction_table', {
+          source_table: junction.sourceTable,
+          relation_column: junction.column,
+          target_table: junction.targetTable
+        });
+        await this.supabaseService.refreshSchemaCache(junction.junctionTable);
+        result.junctions.push(junction);
+        result.created.push(junction.junctionTable);
+      } catch (error) {
+        // Usually the related profile's table is not created or registered yet; retried next sync
+        logger.warn('Could not create junction table', { junctionTable: junction.junctionTable, error: error.message });
+        result.errors.push({ junctionTable: junction.junctionTable, error: error.message });
+      }
+    }
+
+    this.junctions = result.junctions;
+    return result;
+  }
+
+  /**
+   * Replace relation arrays that the Notion API cut off at 25 entries with the full list
+   * @param {Array} pages - Raw Notion pages
+   * @returns {Promise<Object>} - { pages, errors }; pages whose relations cannot be read are left out
+   */
+  async expandTruncatedRelations(pages) {
+    const expanded = [];
+    const errors = [];
+
+    const results = await mapWithConcurrency(pages, this.notionService.concurrency, async page => {
+      const truncated = Object.entries(page.properties || {})
+        .filter(([, property]) => property.type === 'relation' && property.has_more);
+
+      if (truncated.length === 0) return page;
+
+      const properties = { ...page.properties };
+
+      for (const [propertyName, property] of truncated) {
+        const items = await this.notionService.getPropertyItems(page.id, property.id);
+        properties[propertyName] = {
+          ...property,
+          relation: items.filter(item => item.relation).map(item => ({ id: item.relation.id })),
+          has_more: false
+        };
+      }
+
+      return { ...page, properties };
+    });
+
+    results.forEach((result, index) => {
+      if (result.success) {
+        expanded.push(result.data);
+      } else {
+        errors.push({ pageId: pages[index].id, stage: 'relations', error: `Could not read all relations: ${result.error.message}` });
+      }
+    });
+
+    return { pages: expanded, errors };
+  }
+
+  /**
+   * Write the relation links of synced pages to the junction tables
+   * Links to pages that are not synced yet are stored with related_id NULL. The new links are
+   * upserted before stale ones are deleted, so a failed write never leaves a page without links.
+   * @param {Array} pages - Raw Notion pages whose rows were upserted
+   * @returns {Promise<Object>} - { links, dangling, errors }, with the page ID on each error
+   */
+  async writeLinks(pages) {
+    const result = { links: 0, dangling: 0, errors: [] };
+    if (pages.length === 0) return result;
+
+    for (const junction of this.junctions) {
+      const linksByPage = new Map(pages.map(page => {
+        const property = Object.values(page.properties || {}).find(candidate => candidate.id === junction.propertyId);
+        return [page.id, (property?.relation || []).map((related, position) => ({
+          notion_id: page.id,
+          related_notion_id: related.id,
+          position
+        }))];
+      }));
+      const rows = [...linksByPage.values()].flat();
+
+      try {
+        const existing = await this.findExistingIds(junction.targetTable, rows.map(row => row.related_notion_id));
+        for (const row of rows) {
+          row.related_id = existing.has(row.related_notion_id) ? row.related_notion_id : null;
+        }
+
+        if (rows.length > 0) {
+          const { error } = await this.supabaseService.request(() => this.supabaseService.client
+            .from(junction.junctionTable)
+            .upsert(rows, { onConflict: 'notion_id,related_notion_id' }));
+
+          if (error) throw new Error(error.message);
+        }
+      } catch (error) {
+        logger.error('Error writing relation links', { junctionTable: junction.junctionTable, error: error.message });
+        for (const pageId of linksByPage.keys()) {
+          result.errors.push({ pageId, stage: 'relations', junctionTable: junction.junctionTable, error: error.message });
+        }
+        continue;
+      }
+
+      // Remove the links of relations removed in Notion
+      for (const [pageId, links] of linksByPage) {
+        try {
+          await this.deleteStaleLinks(junction.junctionTable, pageId, links.map(link => link.related_notion_id));
+          result.links += links.length;
+          result.dangling += links.filter(link => link.related_id === null).length;
+        } catch (error) {
+          logger.error('Error removing stale relation links', { junctionTable: junction.junctionTable, pageId, error: error.message });
+          result.errors.push({ pageId, stage: 'relations', junctionTable: junction.junctionTable, error: error.message });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete a page's links that are not among its current related pages
+   * @param {string} junctionTable - Junction table name
+   * @param {string} pageId - Notion page ID
+   * @param {Array<string>} relatedIds - Current related page IDs
+   * @returns {Promise<void>}
+   */
+  async deleteStaleLinks(junctionTable, pageId, relatedIds) {
+    const { error } = await this.supabaseService.request(() => {
+      const query = this.supabaseService.client
+        .from(junctionTable)
+        .delete()
+        .eq('notion_id', pageId);
+
+      return relatedIds.length > 0
+        ? query.not('related_notion_id', 'in', `(${relatedIds.join(',')})`)
+        : query;
+    });
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Point dangling links at related rows that have been synced since
+   * Dangling links are paged through in primary key order, so every link is checked each run
+   * @returns {Promise<Object>} - { resolved, dangling, errors }
+   */
+  async resolveDanglingLinks() {
+    const result = { resolved: 0, dangling: 0, errors: [] };
+
+    for (const junction of this.junctions) {
+      try {
+        let after = null;
+
+        do {
+          const rows = await this.getDanglingLinks(junction.junctionTable, after);
+          const existing = await this.findExistingIds(junction.targetTable, rows.map(row => row.related_notion_id));
+          const resolvedRows = rows
+            .filter(row => existing.has(row.related_notion_id))
+            .map(row => ({ ...row, related_id: row.related_notion_id }));
+
+          if (resolvedRows.length > 0) {
+            const { error: upsertError } = await this.supabaseService.request(() => this.supabaseService.client
+              .from(junction.junctionTable)
+              .upsert(resolvedRows, { onConflict: 'notion_id,related_notion_id' }));
+
+            if (upsertError) throw new Error(upsertError.message);
+          }
+
+          result.resolved += resolvedRows.length;
+          result.dangling += rows.length - resolvedRows.length;
+          after = rows.length === DANGLING_BATCH_SIZE ? rows[rows.length - 1] : null;
+        } while (after);
+      } catch (error) {
+        logger.error('Error resolving dangling links', { junctionTable: junction.junctionTable, error: error.message });
+        result.errors.push({ stage: 'relations', junctionTable: junction.junctionTable, error: error.message });
+      }
+    }
+
+    if (result.resolved > 0 || result.dangling > 0) {
+      logger.info('Relation links checked', { tableName: this.tableName, ...result, errors: result.errors.length });
+    }
+
+    return result;
+  }
+
+  /**
+   * Read one page of dangling links, ordered by the junction table's primary key
+   * @param {string} junctionTable - Junction table name
+   * @param {Object|null} after - Last link of the previous page ({ notion_id, related_notion_id })
+   * @returns {Promise<Array>} - Links with related_id NULL
+   */
+  async getDanglingLinks(junctionTable, after = null) {
+    const { data, error } = await this.supabaseService.request(() => {
+      let query = this.supabaseService.client
+        .from(junctionTable)
+        .select('notion_id, related_notion_id, position')
+        .is('related_id', null);
+
+      if (after) {
+        query = query.or(`notion_id.gt.${after.notion_id},and(notion_id.eq.${after.notion_id},related_notion_id.gt.${after.related_notion_id})`);
+      }
+
+      return query
+        .order('notion_id')
+        .order('related_notion_id')
+        .limit(DANGLING_BATCH_SIZE);
+    });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * Find which page IDs have a row in a table
+   * @param {string} tableName - Table name
+   * @param {Array<string>} pageIds - Notion page IDs
+   * @returns {Promise<Set<string>>} - IDs present in the table
+   */
+  async findExistingIds(tableName, pageIds) {
+    const uniqueIds = [...new Set(pageIds)];
+    const existing = new Set();
+
+    for (let i = 0; i < uniqueIds.length; i += LOOKUP_CHUNK_SIZE) {
+      const rows = await this.supabaseService.getData(tableName, {
+        select: 'notion_id',
+        filter: { notion_id: { operator: 'in', value: uniqueIds.slice(i, i + LOOKUP_CHUNK_SIZE) } }
+      });
+      rows.forEach(row => existing.add(row.notion_id));
+    }
+
+    return existing;
+  }
+}
+
+module.exports = RelationSync;
@@ -0,0 +1,128 @@
+const logger = require('../config/logger');
+const { safeCompare, hmacSha256 } = require('./http');
+
+// Signed requests older (or newer) than this are rejected as replays
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+// Signatures seen within the clock skew window, per instance
+const seenSignatures = new Map();
+
+/**
+ * Build the string covered by a request signature
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path including the query string
+ * @param {string} rawBody - Raw request body
+ * @returns {string} - Signing payload
+ */
+function buildSigningPayload(timestamp, method, url, rawBody) {
+  return `${timestamp}.${method.toUpperCase()}.${url}.${rawBody || ''}`;
+}
+
+/**
+ * Sign a request for the sync API (used by clients and tests)
+ * @param {string} secret - SYNC_SIGNING_SECRET
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path including the query string
+ * @param {string} rawBody - Raw request body
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {Object} - Headers to send
+ */
+function signRequest(secret, method, url, rawBody = '', timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = hmacSha256(secret, buildSigningPayload(String(timestamp), method, url, rawBody));
+  return {
+    'X-Sync-Timestamp': String(timestamp),
+    'X-Sync-Signature': `sha256=${signature}`
+  };
+}
+
+/**
+ * Remove expired entries from the replay cache
+ * @param {number} now - Current unix timestamp in seconds
+ */
+function pruneSeenSignatures(now) {
+  for (const [signature, timestamp] of seenSignatures) {
+    if (Math.abs(now - timestamp) > MAX_CLOCK_SKEW_SECONDS) {
+      seenSignatures.delete(signature);
+    }
+  }
+}
+
+/**
+ * Verify an HMAC-signed request with timestamp replay protection
+ * @param {Object} req - HTTP request
+ * @param {string} rawBody - Raw request body
+ * @param {string} secret - Signing secret
+ * @returns {Object} - { authenticated, reason }
+ */
+function verifySignedRequest(req, rawBody, secret) {
+  const timestamp = req.headers['x-sync-timestamp'];
+  const signature = req.headers['x-sync-signature'];
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!/^\d+$/.test(timestamp || '')) {
+    return { authenticated: false, reason: 'Missing or invalid X-Sync-Timestamp' };
+  }
+
+  if (Math.abs(now - parseInt(timestamp)) > MAX_CLOCK_SKEW_SECONDS) {
+    return { authenticated: false, reason: 'Request timestamp outside allowed window' };
+  }
+
+  const expected = `sha256=${hmacSha256(secret, buildSigningPayload(timestamp, req.method, req.url, rawBody))}`;
+  if (!safeCompare(signature, expected)) {
+    return { authenticated: false, reason: 'Invalid signature' };
+  }
+
+  pruneSeenSignatures(now);
+  if (seenSignatures.has(signature)) {
+    return { authenticated: false, reason: 'Replayed signature' };
+  }
+  seenSignatures.set(signature, parseInt(timestamp));
+
+  return { authenticated: true, reason: null };
+}
+
+/**
+ * Authenticate a request with a shared bearer token or an HMAC signature
+ * Fails closed when neither SYNC_API_TOKEN nor SYNC_SIGNING_SECRET is configured
+ * @param {Object} req - HTTP request
+ * @param {string} rawBody - Raw request body
+ * @returns {Object} - { authenticated, method, reason }
+ */
+function authenticateRequest(req, rawBody) {
+  const apiToken = process.env.SYNC_API_TOKEN;
+  const signingSecret = process.env.SYNC_SIGNING_SECRET;
+
+  let result;
+
+  if (!apiToken && !signingSecret) {
+    result = { authenticated: false, method: null, reason: 'No SYNC_API_TOKEN or SYNC_SIGNING_SECRET configured' };
+  } else if (req.headers['x-sync-signature'] && signingSecret) {
+    result = { ...verifySignedRequest(req, rawBody, signingSecret), method: 'signature' };
+  } else if (req.headers.authorization && apiToken) {
+    const [scheme, token] = req.headers.authorization.split(' ');
+    result = scheme === 'Bearer' && safeCompare(token, apiToken)
+      ? { authenticated: true, method: 'bearer', reason: null }
+      : { authenticated: false, method: 'bearer', reason: 'Invalid bearer token' };
+  } else {
+    result = { authenticated: false, method: null, reason: 'Missing credentials' };
+  }
+
+  if (!result.authenticated) {
+    logger.warn('Rejected unauthenticated API request', {
+      reason: result.reason,
+      method: req.method,
+      url: req.url,
+      ip: req.headers['x-forwarded-for'] || req.socket?.remoteAddress,
+      userAgent: (req.headers['user-agent'] || '').substring(0, 100)
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  authenticateRequest,
+  signRequest,
+  MAX_CLOCK_SKEW_SECONDS
+};
@@ -0,0 +1,150 @@
+jest.mock('../config/logger', () => ({ warn: jest.fn(), info: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const crypto = require('crypto');
+const { authenticateRequest, signRequest, MAX_CLOCK_SKEW_SECONDS } = require('./requestAuth');
+
+const SECRET = 'test-signing-secret';
+const TOKEN = 'test-api-token';
+
+/**
+ * Build a request carrying the given headers, with lower-cased names as Node delivers them
+ */
+function createRequest(method, url, headers = {}) {
+  return {
+    method,
+    url,
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+    socket: { remoteAddress: '127.0.0.1' }
+  };
+}
+
+describe('authenticateRequest', () => {
+  const originalEnv = { ...process.env };
+  let counter = 0;
+
+  // Each test signs a distinct body so the replay cache shared by the module never interferes
+  const uniqueBody = () => JSON.stringify({ forceFullSync: true, n: ++counter });
+
+  beforeEach(() => {
+    process.env.SYNC_SIGNING_SECRET = SECRET;
+    process.env.SYNC_API_TOKEN = TOKEN;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  it('fails closed when no credentials are configured', () => {
+    delete process.env.SYNC_SIGNING_SECRET;
+    delete process.env.SYNC_API_TOKEN;
+
+    const result = authenticateRequest(createRequest('GET', '/api/sync', { Authorization: `Bearer ${TOKEN}` }), '');
+    expect(result.authenticated).toBe(false);
+  });
+
+  describe('signed requests', () => {
+    it('accepts a valid HMAC signature', () => {
+      const body = uniqueBody();
+      const req = createRequest('POST', '/api/sync?dryRun=true', signRequest(SECRET, 'POST', '/api/sync?dryRun=true', body));
+
+      expect(authenticateRequest(req, body)).toEqual({ authenticated: true, method: 'signature', reason: null });
+    });
+
+    it('rejects a signature made with another secret', () => {
+      const body = uniqueBody();
+      const req = createRequest('POST', '/api/sync', signRequest('other-secret', 'POST', '/api/sync', body));
+
+      expect(authenticateRequest(req, body)).toMatchObject({ authenticated: false, reason: 'Invalid signature' });
+    });
+
+    it('rejects a body that differs from the signed one', () => {
+      const body = uniqueBody();
+      const req = createRequest('POST', '/api/sync', signRequest(SECRET, 'POST', '/api/sync', body));
+
+      expect(authenticateRequest(req, body.replace('true', 'false'))).toMatchObject({ authenticated: false, reason: 'Invalid signature' });
+    });
+
+    it('rejects a request sent with another method', () => {
+      const body = uniqueBody();
+      const req = createRequest('GET', '/api/sync', signRequest(SECRET, 'POST', '/api/sync', body));
+
+      expect(authenticateRequest(req, body)).toMatchObject({ authenticated: false, reason: 'Invalid signature' });
+    });
+
+    it('rejects a request sent to another URL', () => {
+      const body = uniqueBody();
+      const req = createRequest('POST', '/api/sync?forceFullSync=true', signRequest(SECRET, 'POST', '/api/sync', body));
+
+      expect(authenticateRequest(req, body)).toMatchObject({ authenticated: false, reason: 'Invalid signature' });
+    });
+
+    it.each([
+      ['older', -1],
+      ['newer', 1]
+    ])('rejects a timestamp %s than the allowed window', (label, direction) => {
+      const body = uniqueBody();
+      const timestamp = Math.floor(Date.now() / 1000) + direction * (MAX_CLOCK_SKEW_SECONDS + 1);
+      const req = createRequest('POST', '/api/sync', signRequest(SECRET, 'POST', '/api/sync', body, timestamp));
+
+      expect(authenticateRequest(req, body)).toMatchObject({ authenticated: false, reason: 'Request timestamp outside allowed window' });
+    });
+
+    it('accepts a timestamp at the edge of the window', () => {
+      const body = uniqueBody();
+      const timestamp = Math.floor(Date.now() / 1000) - MAX_CLOCK_SKEW_SECONDS + 5;
+      const req = createRequest('POST', '/api/sync', signRequest(SECRET, 'POST', '/api/sync', body, timestamp));
+
+      expect(authenticateRequest(req, body).authenticated).toBe(true);
+    });
+
+    it('rejects a missing or malformed timestamp', () => {
+      const body = uniqueBody();
+      const headers = signRequest(SECRET, 'POST', '/api/sync', body);
+
+      const withoutTimestamp = createRequest('POST', '/api/sync', { 'X-Sync-Signature': headers['X-Sync-Signature'] });
+      const malformed = createRequest('POST', '/api/sync', { ...headers, 'X-Sync-Timestamp': '12abc' });
+
+      expect(authenticateRequest(withoutTimestamp, body)).toMatchObject({ authenticated: false, reason: 'Missing or invalid X-Sync-Timestamp' });
+      expect(authenticateRequest(malformed, body)).toMatchObject({ authenticated: false, reason: 'Missing or invalid X-Sync-Timestamp' });
+    });
+
+    it('rejects a replayed signature', () => {
+      const body = uniqueBody();
+      const headers = signRequest(SECRET, 'POST', '/api/sync', body);
+
+      expect(authenticateRequest(createRequest('POST', '/api/sync', headers), body).authenticated).toBe(true);
+      expect(authenticateRequest(createRequest('POST', '/api/sync', headers), body)).toMatchObject({ authenticated: false, reason: 'Replayed signature' });
+    });
+  });
+
+  describe('bearer tokens', () => {
+    it('accepts the configured token', () => {
+      const req = createRequest('GET', '/api/sync', { Authorization: `Bearer ${TOKEN}` });
+      expect(authenticateRequest(req, '')).toEqual({ authenticated: true, method: 'bearer', reason: null });
+    });
+
+    it.each([
+      ['a wrong token', `Bearer ${TOKEN.replace(/.$/, 'x')}`],
+      ['a token of another length', `Bearer ${TOKEN}-extra`],
+      ['another scheme', `Basic ${TOKEN}`],
+      ['no token', 'Bearer']
+    ])('rejects %s', (label, authorization) => {
+      const req = createRequest('GET', '/api/sync', { Authorization: authorization });
+      expect(authenticateRequest(req, '')).toMatchObject({ authenticated: false, method: 'bearer', reason: 'Invalid bearer token' });
+    });
+
+    it('compares the token in constant time', () => {
+      const timingSafeEqual = jest.spyOn(crypto, 'timingSafeEqual');
+      const wrongToken = TOKEN.replace(/^./, 'x');
+
+      authenticateRequest(createRequest('GET', '/api/sync', { Authorization: `Bearer ${wrongToken}` }), '');
+
+      expect(timingSafeEqual).toHaveBeenCalledWith(Buffer.from(wrongToken), Buffer.from(TOKEN));
+    });
+
+    it('rejects a request without credentials', () => {
+      expect(authenticateRequest(createRequest('GET', '/api/sync'), '')).toMatchObject({ authenticated: false, reason: 'Missing credentials' });
+    });
+  });
+});
@@ -1,18 +1,106 @@
+const { setTimeout: delayFor } = require('timers/promises');
 const logger = require('../config/logger');
+const { mapWithConcurrency } = require('./concurrency');
+
+const ERROR_CLASSES = {
+  // Network failures and server errors: retried with backoff, and counted by circuit breakers
+  TRANSIENT: 'transient',
+  // 429 responses: retried after Retry-After, but the upstream is healthy
+  RATE_LIMITED: 'rate_limited',
+  // Everything else (validation errors, aborted runs, open circuits): not retried
+  FATAL: 'fatal'
+};
+
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ENOTFOUND',
+  'ETIMEDOUT',
+  'ECONNREFUSED',
+  'ENETUNREACH',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+const RETRYABLE_STATUS_CODES = [408, 500, 502, 503, 504];
+
+// Notion API and client error codes for transient failures
+const RETRYABLE_API_CODES = ['service_unavailable', 'notionhq_client_request_timeout'];
+
+/**
+ * Built-in classifiers, consulted after those added by callers
+ * A classifier returns one of ERROR_CLASSES, or undefined to leave the error to the next one
+ */
+const DEFAULT_CLASSIFIERS = [
+  error => (error.code === 'SYNC_ABORTED' || error.code === 'CIRCUIT_OPEN' || error.name === 'AbortError')
+    ? ERROR_CLASSES.FATAL
+    : undefined,
+  error => (error.status === 429 || error.code === 'rate_limited') ? ERROR_CLASSES.RATE_LIMITED : undefined,
+  // fetch() reports network failures as "fetch failed" with the system error as its cause
+  error => (RETRYABLE_NETWORK_CODES.includes(error.code) || RETRYABLE_NETWORK_CODES.includes(error.cause?.code))
+    ? ERROR_CLASSES.TRANSIENT
+    : undefined,
+  error => (RETRYABLE_STATUS_CODES.includes(error.status) || RETRYABLE_API_CODES.includes(error.code))
+    ? ERROR_CLASSES.TRANSIENT
+    : undefined
+];
 
 /**
  * Retry utility with exponential backoff
  */
 class RetryManager {
-  constructor(maxRetries = 3, baseDelay = 1000) {
+  /**
+   * @param {number} maxRetries - Retries after the first attempt
+   * @param {number} baseDelay - Backoff base delay in milliseconds
+   * @param {Object} options - Options
+   * @param {Array<Function>} options.classifiers - Error classifiers consulted before the built-in ones
+   */
+  constructor(maxRetries = 3, baseDelay = 1000, options = {}) {
     this.maxRetries = maxRetries;
     this.baseDelay = baseDelay;
+    this.classifiers = [...(options.classifiers || [])];
+  }
+
+  /**
+   * Abort with a descriptive error when the run's signal has fired
+   * @param {AbortSignal|null} signal - Run signal
+   */
+  static throwIfAborted(signal) {
+    if (!signal?.aborted) return;
+
+    const reason = signal.reason;
+    const error = new Error(`Run aborted: ${reason?.message || reason || 'signal aborted'}`);
+    error.code = 'SYNC_ABORTED';
+    error.cause = reason;
+    throw error;
+  }
+
+  /**
+   * Add an error classifier, consulted before the ones already registered
+   * @param {Function} classifier - Receives the error, returns one of ERROR_CLASSES or undefined
+   */
+  addClassifier(classifier) {
+    this.classifiers.unshift(classifier);
+  }
+
+  /**
+   * Classify an error as transient, rate limited or fatal
+   * @param {Error} error - The error that occurred
+   * @returns {string} - One of RetryManager.ERROR_CLASSES
+   */
+  classifyError(error) {
+    for (const classifier of [...this.classifiers, ...DEFAULT_CLASSIFIERS]) {
+      const errorClass = classifier(error);
+      if (errorClass) return errorClass;
+    }
+    return ERROR_CLASSES.FATAL;
   }
 
   /**
    * Execute a function with retry logic
    * @param {Function} fn - Function to execute
    * @param {Object} options - Retry options
+   * @param {AbortSignal} options.signal - Run signal; no attempt or backoff outlives it
    * @returns {Promise<any>} - Function result
    */
   async executeWithRetry(fn, options = {}) {
@@ -20,24 +108,29 @@ class RetryManager {
       maxRetries = this.maxRetries,
       baseDelay = this.baseDelay,
       shouldRetry = this.defaultShouldRetry,
-      onRetry = this.defaultOnRetry
+      onRetry = this.defaultOnRetry,
+      signal = null
     } = options;
 
     let lastError;
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      RetryManager.throwIfAborted(signal);
+
       try {
         return await fn();
       } catch (error) {
+        RetryManager.throwIfAborted(signal);
         lastError = error;
         
-        if (attempt === maxRetries || !shouldRetry(error)) {
+        if (attempt === maxRetries || !shouldRetry.call(this, error)) {
           throw error;
         }
         
-        const delay = this.calculateDelay(attempt, baseDelay);
-        await onRetry(error, attempt, delay);
-        await this.sleep(delay);
+        // A Retry-After from the API replaces the backoff
+        const delay = error.retryAfterMs ?? this.calculateDelay(attempt, baseDelay);
+        await onRetry.call(this, error, attempt, delay);
+        await this.sleep(delay, signal);
       }
     }
     
@@ -57,44 +150,12 @@ class RetryManager {
   }
 
   /**
-   * Default retry condition
+   * Default retry condition: transient and rate-limited errors are retried
    * @param {Error} error - The error that occurred
    * @returns {boolean} - Whether to retry
    */
   defaultShouldRetry(error) {
-    // Retry on network errors, rate limits, and server errors
-    const retryableErrors = [
-      'ECONNRESET',
-      'ENOTFOUND',
-      'ETIMEDOUT',
-      'ECONNREFUSED',
-      'ENETUNREACH',
-      'EAI_AGAIN'
-    ];
-
-    const retryableStatusCodes = [408, 429, 500, 502, 503, 504];
-
-    // Check for network errors
-    if (error.code && retryableErrors.includes(error.code)) {
-      return true;
-    }
-
-    // Check for HTTP status codes
-    if (error.status && retryableStatusCodes.includes(error.status)) {
-      return true;
-    }
-
-    // Check for Notion API specific errors
-    if (error.code === 'rate_limited' || error.code === 'service_unavailable') {
-      return true;
-    }
-
-    // Check for Supabase specific errors
-    if (error.message && error.message.includes('connection')) {
-      return true;
-    }
-
-    return false;
+    return this.classifyError(error) !== ERROR_CLASSES.FATAL;
   }
 
   /**
@@ -116,36 +177,48 @@ class RetryManager {
   /**
    * Sleep for specified milliseconds
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal|null} signal - Ends the sleep early with an abort error
    * @returns {Promise<void>}
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async sleep(ms, signal = null) {
+    try {
+      await delayFor(ms, undefined, signal ? { signal } : undefined);
+    } catch (error) {
+      RetryManager.throwIfAborted(signal);
+      throw error;
+    }
   }
 
   /**
-   * Batch retry for multiple operations
+   * Batch retry for multiple operations, running up to `concurrency` of them at a time
    * @param {Array<Function>} operations - Array of functions to execute
-   * @param {Object} options - Retry options
-   * @returns {Promise<Array>} - Results array
+   * @param {Object} options - Retry options, plus `concurrency` (default: 1)
+   * @returns {Promise<Array>} - Results in operation order: { index, success, data | error, attempts }
    */
   async executeBatchWithRetry(operations, options = {}) {
-    const results = [];
-    const errors = [];
+    const { concurrency = 1, ...retryOptions } = options;
+    const onRetry = retryOptions.onRetry || this.defaultOnRetry;
+    const attempts = operations.map(() => 1);
+
+    const settled = await mapWithConcurrency(operations, concurrency, (operation, index) =>
+      this.executeWithRetry(operation, {
+        ...retryOptions,
+        onRetry: (error, attempt, delay) => {
+          attempts[index] = attempt + 2;
+          return onRetry.call(this, error, attempt, delay);
+        }
+      })
+    );
 
-    for (let i = 0; i < operations.length; i++) {
-      try {
-        const result = await this.executeWithRetry(operations[i], options);
-        results.push({ index: i, success: true, data: result });
-      } catch (error) {
-        errors.push({ index: i, success: false, error: error.message });
-        results.push({ index: i, success: false, error: error.message });
-      }
-    }
+    const results = settled.map(result => result.success
+      ? { index: result.index, success: true, data: result.data, attempts: attempts[result.index] }
+      : { index: result.index, success: false, error: result.error.message, attempts: attempts[result.index] });
+    const errors = results.filter(result => !result.success);
 
     if (errors.length > 0) {
       logger.warn('Batch operation completed with errors', {
         total: operations.length,
-        successful: results.filter(r => r.success).length,
+        successful: results.length - errors.length,
         failed: errors.length,
         errors: errors.slice(0, 5) // Log first 5 errors
       });
@@ -155,4 +228,6 @@ class RetryManager {
   }
 }
 
+RetryManager.ERROR_CLASSES = ERROR_CLASSES;
+
 module.exports = RetryManager; 
\ No newline at end of file
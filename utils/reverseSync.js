@@ -0,0 +1,320 @@
+const logger = require('../config/logger');
+const SchemaManager = require('./schemaManager');
+const {
+  transformNotionProperty,
+  toNotionPropertyValue,
+  WRITABLE_PROPERTY_TYPES
+} = require('./dataTransformer');
+const { mapWithConcurrency } = require('./concurrency');
+
+const CONFLICT_POLICIES = ['notion', 'supabase', 'newest'];
+
+/**
+ * Check whether a value counts as empty on both sides of the sync
+ * @param {any} value - Column or property value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Compare a Supabase value with the current Notion value of the same property
+ * @param {string} notionType - Notion property type
+ * @param {any} supabaseValue - Value stored in Supabase
+ * @param {any} notionValue - Transformed Notion value
+ * @returns {boolean} - Whether both values are equivalent
+ */
+function valuesEqual(notionType, supabaseValue, notionValue) {
+  if (isEmptyValue(supabaseValue) || isEmptyValue(notionValue)) {
+    if (notionType === 'checkbox') {
+      return Boolean(supabaseValue) === Boolean(notionValue);
+    }
+    return isEmptyValue(supabaseValue) && isEmptyValue(notionValue);
+  }
+
+  switch (notionType) {
+    case 'date':
+      return new Date(supabaseValue).getTime() === new Date(notionValue).getTime();
+    case 'number':
+      return Number(supabaseValue) === Number(notionValue);
+    case 'checkbox':
+      return Boolean(supabaseValue) === Boolean(notionValue);
+    case 'multi_select':
+      return JSON.stringify([...supabaseValue].sort()) === JSON.stringify([...notionValue].sort());
+    default:
+      return String(supabaseValue) === String(notionValue);
+  }
+}
+
+/**
+ * Pushes rows edited in Supabase back to Notion (opt-in reverse direction)
+ */
+class ReverseSync {
+  /**
+   * @param {Object} notionService - NotionService instance
+   * @param {Object} supabaseService - SupabaseService instance
+   * @param {Object} options - Reverse sync options
+   * @param {string} options.profileName - Sync profile name
+   * @param {string} options.tableName - Synced table
+   * @param {Object} options.twoWay - Profile `twoWay` setting ({ enabled, conflictPolicy, conflictTable })
+   */
+  constructor(notionService, supabaseService, options = {}) {
+    const twoWay = options.twoWay || {};
+
+    this.notionService = notionService;
+    this.supabaseService = supabaseService;
+    this.profileName = options.profileName;
+    this.tableName = options.tableName;
+    this.enabled = twoWay === true || Boolean(twoWay.enabled);
+    this.conflictPolicy = twoWay.conflictPolicy || 'notion';
+    this.conflictTable = twoWay.conflictTable || 'sync_conflicts';
+  }
+
+  /**
+   * Check whether a conflict policy name is supported
+   * @param {string} policy - Conflict policy
+   * @returns {boolean}
+   */
+  static isValidConflictPolicy(policy) {
+    return CONFLICT_POLICIES.includes(policy);
+  }
+
+  /**
+   * Whether the reverse direction is enabled for this profile
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Map writable column names to their Notion property
+   * @param {Object} databaseSchema - Notion database schema
+   * @returns {Map} - Column name → { propertyName, notionType, defaultValue }
+   */
+  buildColumnMap(databaseSchema) {
+    const columnMap = new Map();
+
+    for (const column of SchemaManager.extractColumnDefinitions(databaseSchema)) {
+      // Date companion columns are written together with their start column
+      if (WRITABLE_PROPERTY_TYPES.includes(column.notionType) && !column.companionOf) {
+        columnMap.set(column.name, {
+          propertyName: column.originalName,
+          notionType: column.notionType,
+          defaultValue: column.defaultValue
+        });
+      }
+    }
+
+    return columnMap;
+  }
+
+  /**
+   * Load rows changed in Supabase since a timestamp
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<Array>} - Changed rows
+   */
+  async getChangedRows(since) {
+    const pageSize = 1000;
+    const rows = [];
+    let offset = 0;
+
+    while (true) {
+      const batch = await this.supabaseService.getData(this.tableName, {
+        filter: { updated_at: { operator: 'gt', value: since } },
+        order: { updated_at: 'asc' },
+        limit: pageSize,
+        offset
+      });
+
+      rows.push(...batch);
+      if (batch.length < pageSize) break;
+      offset += pageSize;
+    }
+
+    // Soft-deleted rows are never pushed back
+    return rows.filter(row => row.notion_id && !row.deleted_at);
+  }
+
+  /**
+   * Compute the Notion property updates for a row
+   * @param {Object} row - Supabase row
+   * @param {Object} page - Current Notion page
+   * @param {Map} columnMap - Writable column map
+   * @returns {Object} - { properties, changedColumns, notionValues, supabaseValues }
+   */
+  diffRow(row, page, columnMap) {
+    const properties = {};
+    const changedColumns = [];
+    const notionValues = {};
+    const supabaseValues = {};
+
+    for (const [columnName, { propertyName, notionType, defaultValue }] of columnMap) {
+      if (!(columnName in row) || !page.properties?.[propertyName]) continue;
+
+      const notionValue = transformNotionProperty(page.properties[propertyName]);
+      const supabaseValue = row[columnName];
+
+      if (valuesEqual(notionType, supabaseValue, notionValue)) continue;
+
+      // A configured default filled in for an empty Notion value is not an edit
+      if (defaultValue !== undefined && isEmptyValue(notionValue) &&
+        valuesEqual(notionType, supabaseValue, defaultValue)) continue;
+
+      const propertyValue = toNotionPropertyValue(notionType, supabaseValue, {
+        end: row[`${columnName}_end`]
+      });
+      if (!propertyValue) continue;
+
+      properties[propertyName] = propertyValue;
+      changedColumns.push(columnName);
+      notionValues[columnName] = notionValue;
+      supabaseValues[columnName] = supabaseValue;
+    }
+
+    return { properties, changedColumns, notionValues, supabaseValues };
+  }
+
+  /**
+   * Decide which side wins when a row and its page both changed since the last sync
+   * @param {Object} row - Supabase row
+   * @param {Object} page - Notion page
+   * @returns {string} - 'notion' or 'supabase'
+   */
+  resolveConflict(row, page) {
+    if (this.conflictPolicy === 'newest') {
+      return new Date(row.updated_at) > new Date(page.last_edited_time) ? 'supabase' : 'notion';
+    }
+    return this.conflictPolicy;
+  }
+
+  /**
+   * Store conflicts for later review
+   * @param {Array<Object>} conflicts - Conflict records
+   * @returns {Promise<void>}
+   */
+  async recordConflicts(conflicts) {
+    if (conflicts.length === 0) return;
+
+    try {
+      await this.supabaseService.insertData(this.conflictTable, conflicts);
+    } catch (error) {
+      // Conflicts are also logged, so a failed insert does not abort the sync
+      logger.error('Error recording sync conflicts', {
+        error: error.message,
+        conflictTable: this.conflictTable,
+        count: conflicts.length
+      });
+    }
+  }
+
+  /**
+   * Push Supabase edits made since the last push to Notion
+   * @param {Object} options - Push options
+   * @param {string} options.since - Last push timestamp
+   * @param {Object} options.databaseSchema - Notion database schema
+   * @param {boolean} options.dryRun - Report without writing to Notion
+   * @returns {Promise<Object>} - Push result
+   */
+  async push(options = {}) {
+    const { since, databaseSchema, dryRun = false } = options;
+
+    const result = {
+      candidates: 0,
+      pushed: 0,
+      unchanged: 0,
+      conflicts: 0,
+      errors: [],
+      dryRun
+    };
+
+    if (!since) {
+      logger.info('Skipping reverse sync - no previous sync found', { profile: this.profileName });
+      return result;
+    }
+
+    const columnMap = this.buildColumnMap(databaseSchema);
+    const rows = await this.getChangedRows(since);
+    const conflicts = [];
+    result.candidates = rows.length;
+
+    logger.info('Reverse sync candidates loaded', {
+      profile: this.profileName,
+      tableName: this.tableName,
+      since,
+      candidates: rows.length
+    });
+
+    // Rows are compared and pushed `notionService.concurrency` at a time
+    await mapWithConcurrency(rows, this.notionService.concurrency, async row => {
+      try {
+        const page = await this.notionService.getPage(row.notion_id);
+        const diff = this.diffRow(row, page, columnMap);
+
+        if (diff.changedColumns.length === 0) {
+          result.unchanged++;
+          return;
+        }
+
+        // The page changed in Notion after this row was last pulled
+        const notionChanged = !row.last_edited_time ||
+          new Date(page.last_edited_time) > new Date(row.last_edited_time);
+
+        if (notionChanged) {
+          const winner = this.resolveConflict(row, page);
+          result.conflicts++;
+          conflicts.push({
+            profile: this.profileName,
+            table_name: this.tableName,
+            notion_id: row.notion_id,
+            policy: this.conflictPolicy,
+            winner,
+            columns: diff.changedColumns,
+            notion_values: diff.notionValues,
+            supabase_values: diff.supabaseValues,
+            notion_last_edited_time: page.last_edited_time,
+            supabase_updated_at: row.updated_at
+          });
+
+          logger.warn('Two-way sync conflict', {
+            profile: this.profileName,
+            notionId: row.notion_id,
+            winner,
+            columns: diff.changedColumns
+          });
+
+          if (winner === 'notion') return;
+        }
+
+        if (!dryRun) {
+          await this.notionService.updatePage(row.notion_id, diff.properties);
+        }
+        result.pushed++;
+      } catch (error) {
+        result.errors.push({ pageId: row.notion_id, error: error.message });
+        logger.error('Error pushing row to Notion', {
+          pageId: row.notion_id,
+          error: error.message
+        });
+      }
+    });
+
+    if (!dryRun) {
+      await this.recordConflicts(conflicts);
+    }
+
+    logger.info('Reverse sync completed', {
+      profile: this.profileName,
+      ...result,
+      errors: result.errors.length
+    });
+
+    return result;
+  }
+}
+
+ReverseSync.CONFLICT_POLICIES = CONFLICT_POLICIES;
+
+module.exports = ReverseSync;
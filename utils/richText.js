@@ -0,0 +1,227 @@
+/**
+ * Rendering helpers for Notion rich text arrays
+ */
+
+// Link schemes rendered as links; others (javascript:, data:, ...) render as plain text
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Get the link target of a rich text item when its scheme is safe to render
+ * Page and database mentions link to relative Notion paths (/<page id>), which are kept
+ * @param {Object} item - Notion rich text item
+ * @returns {string|null} - Link target, or null when the item has no safe link
+ */
+function getSafeHref(item) {
+  const href = (item.href || item.text?.link?.url || '').trim();
+  if (!href) return null;
+  if (/^\/(?![/\\])/.test(href)) return href;
+
+  try {
+    return SAFE_LINK_PROTOCOLS.includes(new URL(href).protocol) ? href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Wrap text in Markdown markers, keeping surrounding whitespace outside the markers
+ * @param {string} text - Text to wrap
+ * @param {string} marker - Opening marker
+ * @param {string} closing - Closing marker (defaults to the opening one)
+ * @returns {string} - Wrapped text
+ */
+function wrapMarkdown(text, marker, closing = marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return text;
+  return `${match[1]}${marker}${match[2]}${closing}${match[3]}`;
+}
+
+/**
+ * Escape characters that Markdown would read as formatting
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]~<$]/g, '\\$&');
+}
+
+/**
+ * Render text as an inline code span, fenced with more backticks than any run inside it
+ * @param {string} text - Raw code
+ * @returns {string} - Markdown code span
+ */
+function renderMarkdownCode(text) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return text;
+
+  const longestRun = Math.max(0, ...(match[2].match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  // A space keeps a leading or trailing backtick from joining the fence; Markdown strips it again
+  const padding = /^`|`$/.test(match[2]) ? ' ' : '';
+  return `${match[1]}${fence}${padding}${match[2]}${padding}${fence}${match[3]}`;
+}
+
+/**
+ * Render a single rich text item as Markdown
+ * Underline and colors have no Markdown syntax and are emitted as inline <u> and
+ * <span class="notion-<color>"> tags, like the HTML renderer
+ * @param {Object} item - Notion rich text item
+ * @returns {string} - Markdown text
+ */
+function renderMarkdownItem(item) {
+  if (!item) return '';
+
+  if (item.type === 'equation') {
+    return `$${item.equation?.expression || item.plain_text || ''}$`;
+  }
+
+  const annotations = item.annotations || {};
+  const plainText = item.plain_text || '';
+  let text = annotations.code ? renderMarkdownCode(plainText) : escapeMarkdown(plainText);
+
+  if (annotations.bold) text = wrapMarkdown(text, '**');
+  if (annotations.italic) text = wrapMarkdown(text, '_');
+  if (annotations.strikethrough) text = wrapMarkdown(text, '~~');
+  if (annotations.underline) text = wrapMarkdown(text, '<u>', '</u>');
+
+  if (annotations.color && annotations.color !== 'default') {
+    text = wrapMarkdown(text, `<span class="notion-${escapeHtml(annotations.color)}">`, '</span>');
+  }
+
+  // Page, database and link mentions carry an href; user and date mentions render as their text
+  const href = getSafeHref(item);
+  if (href) {
+    text = `[${text}](${href.replace(/[()\\]/g, '\\$&').replace(/ /g, '%20')})`;
+  }
+
+  return text;
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a mention as HTML
+ * @param {Object} item - Notion rich text item of type mention
+ * @param {string} text - Escaped display text
+ * @returns {string} - HTML
+ */
+function renderHtmlMention(item, text) {
+  const mention = item.mention || {};
+
+  switch (mention.type) {
+    case 'user':
+      return `<span class="notion-mention notion-mention-user" data-user-id="${escapeHtml(mention.user?.id || '')}">${text}</span>`;
+
+    case 'date': {
+      const { start, end } = mention.date || {};
+      const datetime = start ? ` datetime="${escapeHtml(start)}"` : '';
+      const range = end ? ` data-end="${escapeHtml(end)}"` : '';
+      return `<time class="notion-mention notion-mention-date"${datetime}${range}>${text}</time>`;
+    }
+
+    case 'page':
+    case 'database': {
+      const id = mention[mention.type]?.id || '';
+      return `<span class="notion-mention notion-mention-${mention.type}" data-${mention.type}-id="${escapeHtml(id)}">${text}</span>`;
+    }
+
+    default:
+      return `<span class="notion-mention">${text}</span>`;
+  }
+}
+
+/**
+ * Render a single rich text item as HTML
+ * Colors are emitted as notion-<color> classes (e.g. notion-red, notion-red_background)
+ * @param {Object} item - Notion rich text item
+ * @returns {string} - HTML
+ */
+function renderHtmlItem(item) {
+  if (!item) return '';
+
+  if (item.type === 'equation') {
+    return `<span class="notion-equation">${escapeHtml(item.equation?.expression || item.plain_text || '')}</span>`;
+  }
+
+  const annotations = item.annotations || {};
+  let html = escapeHtml(item.plain_text || '').replace(/\n/g, '<br>');
+
+  if (item.type === 'mention') {
+    html = renderHtmlMention(item, html);
+  }
+
+  if (annotations.code) html = `<code>${html}</code>`;
+  if (annotations.bold) html = `<strong>${html}</strong>`;
+  if (annotations.italic) html = `<em>${html}</em>`;
+  if (annotations.strikethrough) html = `<s>${html}</s>`;
+  if (annotations.underline) html = `<u>${html}</u>`;
+
+  if (annotations.color && annotations.color !== 'default') {
+    html = `<span class="notion-${escapeHtml(annotations.color)}">${html}</span>`;
+  }
+
+  const href = getSafeHref(item);
+  if (href) {
+    html = `<a href="${escapeHtml(href)}">${html}</a>`;
+  }
+
+  return html;
+}
+
+/**
+ * Render a Notion rich text array as Markdown
+ * @param {Array} richText - Notion rich text array
+ * @returns {string} - Markdown text
+ */
+function richTextToMarkdown(richText) {
+  if (!Array.isArray(richText)) return '';
+  return richText.map(renderMarkdownItem).join('');
+}
+
+/**
+ * Render a Notion rich text array as HTML
+ * @param {Array} richText - Notion rich text array
+ * @returns {string} - HTML fragment
+ */
+function richTextToHtml(richText) {
+  if (!Array.isArray(richText)) return '';
+  return richText.map(renderHtmlItem).join('');
+}
+
+/**
+ * Render a Notion rich text array as plain text
+ * @param {Array} richText - Notion rich text array
+ * @returns {string} - Plain text
+ */
+function richTextToPlainText(richText) {
+  if (!Array.isArray(richText)) return '';
+  return richText.map(item => item?.plain_text || '').join('');
+}
+
+/**
+ * Export formats for title and rich_text properties: column suffix, column type and renderer
+ */
+const RICH_TEXT_FORMATS = {
+  md: { suffix: '_md', type: 'TEXT', render: richTextToMarkdown },
+  html: { suffix: '_html', type: 'TEXT', render: richTextToHtml },
+  json: { suffix: '_json', type: 'JSONB', render: richText => (Array.isArray(richText) ? richText : []) }
+};
+
+module.exports = {
+  richTextToMarkdown,
+  richTextToHtml,
+  richTextToPlainText,
+  RICH_TEXT_FORMATS
+};
@@ -0,0 +1,108 @@
+/**
+ * Dry-run row diff: what an upsert of transformed pages would change in the synced table
+ */
+
+const SchemaManager = require('./schemaManager');
+
+// Set by the write itself (upsertData stamps updated_at), so the transformed value is never stored
+const IGNORED_COLUMNS = ['updated_at'];
+
+const NUMERIC_TYPES = ['numeric', 'integer', 'bigint', 'smallint', 'double precision', 'real'];
+const TIMESTAMP_TYPES = ['timestamp with time zone', 'timestamp without time zone', 'date'];
+
+/**
+ * Serialize a value with object keys sorted, since JSONB does not keep key order
+ * @param {any} value - JSON value
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compare a stored value with the value a sync would write to the same column
+ * @param {string|undefined} columnType - Catalog type of the column (undefined for a column still to be added)
+ * @param {any} before - Stored value
+ * @param {any} after - Transformed value
+ * @returns {boolean} - Whether writing `after` leaves the column unchanged
+ */
+function columnValuesEqual(columnType, before, after) {
+  if (before === null || before === undefined || after === null || after === undefined) {
+    return (before ?? null) === (after ?? null);
+  }
+
+  const type = SchemaManager.normalizeColumnType(columnType);
+
+  if (type.endsWith('[]') && Array.isArray(before) && Array.isArray(after)) {
+    const elementType = type.slice(0, -2);
+    return before.length === after.length &&
+      before.every((value, index) => columnValuesEqual(elementType, value, after[index]));
+  }
+  if (TIMESTAMP_TYPES.includes(type)) {
+    return new Date(before).getTime() === new Date(after).getTime();
+  }
+  if (NUMERIC_TYPES.includes(type)) {
+    return Number(before) === Number(after);
+  }
+  if (type === 'boolean') {
+    return Boolean(before) === Boolean(after);
+  }
+  if (typeof before === 'object' || typeof after === 'object') {
+    return canonicalJson(before) === canonicalJson(after);
+  }
+  return String(before) === String(after);
+}
+
+/**
+ * Classify rows as inserts, updates or unchanged against the stored rows with the same notion_id
+ * Only columns present in a row are compared: the upsert leaves the other columns as they are
+ * @param {Array} rows - Rows as they would be upserted
+ * @param {Array} storedRows - Stored rows with the same notion_id values
+ * @param {Map} columnTypes - Column name → catalog type
+ * @returns {Object} - { insert: [{ notion_id, values }], update: [{ notion_id, changes }], unchanged: [notion_id] },
+ *   where changes maps each changed column to { before, after }
+ */
+function diffRows(rows, storedRows, columnTypes = new Map()) {
+  const stored = new Map(storedRows.map(row => [row.notion_id, row]));
+  const diff = { insert: [], update: [], unchanged: [] };
+
+  for (const row of rows) {
+    const columns = Object.keys(row).filter(column => !IGNORED_COLUMNS.includes(column));
+    const existing = stored.get(row.notion_id);
+
+    if (!existing) {
+      diff.insert.push({
+        notion_id: row.notion_id,
+        values: Object.fromEntries(columns.map(column => [column, row[column]]))
+      });
+      continue;
+    }
+
+    const changes = {};
+    for (const column of columns) {
+      if (!columnValuesEqual(columnTypes.get(column), existing[column], row[column])) {
+        changes[column] = { before: existing[column] ?? null, after: row[column] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      diff.update.push({ notion_id: row.notion_id, changes });
+    } else {
+      diff.unchanged.push(row.notion_id);
+    }
+  }
+
+  return diff;
+}
+
+module.exports = {
+  diffRows,
+  columnValuesEqual
+};
@@ -0,0 +1,184 @@
+const logger = require('../config/logger');
+
+/**
+ * Sync run history: one row per sync run with its trigger, options and metrics
+ */
+class SyncRunHistory {
+  constructor(supabaseService, tableName = 'sync_runs') {
+    this.supabaseService = supabaseService;
+    this.supabase = supabaseService.client;
+    this.tableName = tableName;
+    this.runStartTimes = new Map();
+  }
+
+  /**
+   * Record the start of a sync run
+   * @param {Object} run - Run details
+   * @param {string} run.profile - Sync profile name
+   * @param {string} run.databaseId - Notion database ID
+   * @param {string} run.tableName - Synced table
+   * @param {string} run.trigger - Trigger source (cli, api, cron, webhook)
+   * @param {Object} run.options - Sync options
+   * @returns {Promise<number|null>} - Run ID, or null when the run could not be recorded
+   */
+  async startRun(run) {
+    const startTime = new Date();
+
+    try {
+      const { data, error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .insert({
+          profile: run.profile,
+          database_id: run.databaseId,
+          table_name: run.tableName,
+          trigger_source: run.trigger,
+          options: run.options || {},
+          status: 'running',
+          started_at: startTime.toISOString()
+        })
+        .select('id')
+        .single());
+
+      if (error) {
+        logger.error('Error recording sync run start', { error, profile: run.profile });
+        return null;
+      }
+
+      this.runStartTimes.set(data.id, startTime);
+      return data.id;
+    } catch (error) {
+      logger.error('Error in startRun', { error: error.message, profile: run.profile });
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of a sync run
+   * @param {number|null} runId - Run ID from startRun
+   * @param {Object} outcome - Run outcome
+   * @param {Object} outcome.result - Sync result from createSyncResult
+   * @param {Error} outcome.error - Error that aborted the run
+   * @returns {Promise<boolean>} - Success status
+   */
+  async finishRun(runId, outcome = {}) {
+    if (!runId) return false;
+
+    const { result = null, error = null } = outcome;
+    const endTime = new Date();
+    const errors = result?.errors || [];
+
+    let status = 'success';
+    if (error) {
+      status = 'failed';
+    } else if (errors.length > 0) {
+      status = 'partial';
+    } else if (result?.complete === false) {
+      status = 'incomplete';
+    }
+
+    const startTime = this.runStartTimes.get(runId);
+    this.runStartTimes.delete(runId);
+
+    // A dry-run diff lists every row with its values; the history keeps the DDL and counts
+    const storedResult = result?.diff
+      ? { ...result, diff: { ddl: result.diff.ddl, schemaChanges: result.diff.schemaChanges, counts: result.diff.counts } }
+      : result;
+
+    try {
+      const { error: updateError } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .update({
+          status,
+          ended_at: endTime.toISOString(),
+          duration_ms: startTime ? endTime.getTime() - startTime.getTime() : null,
+          total_fetched: result?.stats?.totalFetched || 0,
+          total_transformed: result?.stats?.totalTransformed || 0,
+          total_synced: result?.stats?.totalSynced || 0,
+          errors,
+          error_message: error ? error.message : null,
+          result: storedResult
+        })
+        .eq('id', runId));
+
+      if (updateError) {
+        logger.error('Error recording sync run end', { error: updateError, runId });
+        return false;
+      }
+
+      return true;
+    } catch (finishError) {
+      logger.error('Error in finishRun', { error: finishError.message, runId });
+      return false;
+    }
+  }
+
+  /**
+   * Get recent runs, newest first
+   * @param {Object} options - Query options
+   * @param {string} options.profile - Only runs for this profile
+   * @param {string} options.status - Only runs with this status
+   * @param {number} options.limit - Maximum rows (default: 20)
+   * @returns {Promise<Array>} - Runs
+   */
+  async getRecentRuns(options = {}) {
+    const { profile = null, status = null, limit = 20 } = options;
+
+    try {
+      let query = this.supabase
+        .from(this.tableName)
+        .select('*')
+        .order('started_at', { ascending: false })
+        .limit(limit);
+
+      if (profile) query = query.eq('profile', profile);
+      if (status) query = query.eq('status', status);
+
+      const { data, error } = await this.supabaseService.request(() => query);
+
+      if (error) {
+        logger.error('Error fetching sync runs', { error, profile });
+        return [];
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error('Error in getRecentRuns', { error: error.message, profile });
+      return [];
+    }
+  }
+
+  /**
+   * Delete runs older than the retention period
+   * @param {number} daysToKeep - Number of days to keep runs
+   * @param {string} profile - Only prune runs for this profile
+   * @returns {Promise<boolean>} - Success status
+   */
+  async pruneRuns(daysToKeep = 30, profile = null) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+
+      let query = this.supabase
+        .from(this.tableName)
+        .delete()
+        .lt('started_at', cutoffDate.toISOString());
+
+      if (profile) query = query.eq('profile', profile);
+
+      const { error } = await this.supabaseService.request(() => query);
+
+      if (error) {
+        logger.error('Error pruning sync runs', { error });
+        return false;
+      }
+
+      logger.info('Old sync runs pruned', { cutoffDate: cutoffDate.toISOString(), profile });
+      return true;
+    } catch (error) {
+      logger.error('Error in pruneRuns', { error: error.message });
+      return false;
+    }
+  }
+}
+
+module.exports = SyncRunHistory;
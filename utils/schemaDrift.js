@@ -0,0 +1,414 @@
+const logger = require('../config/logger');
+const SchemaManager = require('./schemaManager');
+
+const DELETED_PROPERTY_POLICIES = ['keep', 'archive', 'drop'];
+const TYPE_CHANGE_POLICIES = ['cast', 'review'];
+
+// Mapping rows whose column is still written by the sync
+const LIVE_STATUSES = ['active', 'review'];
+
+const normalizeType = type => SchemaManager.normalizeColumnType(type);
+
+/**
+ * Build the USING expression that converts a column to a new type
+ * Only conversions that cannot silently lose data are cast automatically
+ * @param {string} column - Quoted column name
+ * @param {string} fromType - Current column type
+ * @param {string} toType - New column type
+ * @returns {string|null} - SQL expression, or null when the change needs manual review
+ */
+function getCastExpression(column, fromType, toType) {
+  const from = normalizeType(fromType);
+  const to = normalizeType(toType);
+
+  if (to === 'text') {
+    return from === 'text[]' ? `array_to_string(${column}, ', ')` : `${column}::text`;
+  }
+
+  if (from === 'text') {
+    switch (to) {
+      case 'numeric':
+        return `NULLIF(trim(${column}), '')::numeric`;
+      case 'boolean':
+        return `NULLIF(trim(${column}), '')::boolean`;
+      case 'timestamp with time zone':
+        return `NULLIF(trim(${column}), '')::timestamptz`;
+      case 'text[]':
+        return `CASE WHEN ${column} IS NULL THEN NULL ELSE ARRAY[${column}] END`;
+      default:
+        return null;
+    }
+  }
+
+  if (from === 'boolean' && to === 'numeric') {
+    return `${column}::int`;
+  }
+
+  return null;
+}
+
+/**
+ * Schema drift handling: follows Notion property renames, type changes and deletions
+ * by property ID, using the sync_property_map table as the record of which column
+ * each property was written to
+ */
+class SchemaDrift {
+  /**
+   * @param {Object} supabaseService - SupabaseService instance
+   * @param {Object} options - Drift options
+   * @param {string} options.profileName - Sync profile name
+   * @param {string} options.tableName - Synced table
+   * @param {Object} options.schemaDrift - Profile `schemaDrift` setting ({ deletedProperties, typeChanges })
+   */
+  constructor(supabaseService, options = {}) {
+    const schemaDrift = options.schemaDrift || {};
+
+    this.supabaseService = supabaseService;
+    this.profileName = options.profileName;
+    this.tableName = options.tableName;
+    this.mapTable = schemaDrift.mapTable || 'sync_property_map';
+    this.deletedProperties = schemaDrift.deletedProperties || 'keep';
+    this.typeChanges = schemaDrift.typeChanges || 'cast';
+  }
+
+  /**
+   * Check whether a deleted-property policy name is supported
+   * @param {string} policy - Policy name
+   * @returns {boolean}
+   */
+  static isValidDeletedPropertyPolicy(policy) {
+    return DELETED_PROPERTY_POLICIES.includes(policy);
+  }
+
+  /**
+   * Check whether a type-change policy name is supported
+   * @param {string} policy - Policy name
+   * @returns {boolean}
+   */
+  static isValidTypeChangePolicy(policy) {
+    return TYPE_CHANGE_POLICIES.includes(policy);
+  }
+
+  /**
+   * Load the recorded property → column mapping for this profile
+   * @returns {Promise<Array>} - Mapping rows
+   */
+  async loadMapping() {
+    const { data, error } = await this.supabaseService.request(() => this.supabaseService.client
+      .from(this.mapTable)
+      .select('*')
+      .eq('profile', this.profileName));
+
+    if (error) {
+      logger.error('Error loading property map', { error, profile: this.profileName });
+      throw new Error(error.message);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Compare the current column definitions with the recorded mapping
+   * @param {Array} columns - Column definitions from SchemaManager.extractColumnDefinitions
+   * @param {Array<string>} propertyIds - IDs of every property in the Notion database (including ignored ones)
+   * @param {Array} mapping - Mapping rows
+   * @param {Array} tableColumns - Columns from the table catalog; their real type takes precedence over the recorded one
+   * @returns {Object} - { renamed, retyped, deleted }
+   */
+  diff(columns, propertyIds, mapping, tableColumns = []) {
+    const actualTypes = new Map(tableColumns.map(column => [column.name, column.type]));
+    const drift = { renamed: [], retyped: [], deleted: [] };
+    const mappingById = new Map(mapping
+      .filter(row => LIVE_STATUSES.includes(row.status))
+      .map(row => [row.property_id, row]));
+
+    for (const column of columns.filter(definition => !definition.companionOf && definition.propertyId)) {
+      const row = mappingById.get(column.propertyId);
+      if (!row) continue;
+
+      if (row.column_name !== column.name) {
+        drift.renamed.push({
+          propertyId: column.propertyId,
+          propertyName: column.originalName,
+          from: row.column_name,
+          to: column.name,
+          // Companions keep their suffix: <from>_end → <to>_end
+          companions: (row.companion_columns || []).map(companion => ({
+            from: companion,
+            to: `${column.name}${companion.slice(row.column_name.length)}`
+          }))
+        });
+      }
+
+      // A column migrated by hand to the requested type no longer drifts, which also clears a review
+      const currentType = actualTypes.get(row.column_name) || row.column_type;
+      if (normalizeType(currentType) !== normalizeType(column.type)) {
+        drift.retyped.push({
+          propertyId: column.propertyId,
+          propertyName: column.originalName,
+          column: column.name,
+          from: currentType,
+          to: column.type,
+          inReview: row.status === 'review'
+        });
+      }
+    }
+
+    const currentIds = new Set(propertyIds);
+    drift.deleted = mapping
+      .filter(row => LIVE_STATUSES.includes(row.status) && !currentIds.has(row.property_id))
+      .map(row => ({
+        propertyId: row.property_id,
+        propertyName: row.property_name,
+        column: row.column_name,
+        companions: row.companion_columns || []
+      }));
+
+    return drift;
+  }
+
+  /**
+   * Detect drift, apply renames, casts and deletions, and record the new mapping
+   * @param {Object} options - Reconcile options
+   * @param {Array} options.columns - Column definitions for the current Notion schema
+   * @param {Array<string>} options.propertyIds - IDs of every property in the Notion database
+   * @param {Array} options.tableColumns - Columns from SupabaseService.describeTable
+   * @param {boolean} options.dryRun - Report without changing anything
+   * @returns {Promise<Object>} - { baseline, renamed, retyped, review, deleted, errors, heldColumns, statements, dryRun }
+   */
+  async reconcile(options = {}) {
+    const { columns, propertyIds, tableColumns = [], dryRun = false } = options;
+    const report = {
+      baseline: false,
+      renamed: [],
+      retyped: [],
+      review: [],
+      deleted: [],
+      errors: [],
+      heldColumns: [],
+      // DDL this reconcile runs (or would run on a dry run), in order
+      statements: [],
+      dryRun
+    };
+
+    const mapping = await this.loadMapping();
+
+    // The first run only records where each property is stored
+    if (mapping.length === 0) {
+      report.baseline = true;
+      if (!dryRun) {
+        await this.saveMapping(columns);
+      }
+      return report;
+    }
+
+    const drift = this.diff(columns, propertyIds, mapping, tableColumns);
+    const existing = new Set(tableColumns.map(column => column.name));
+    const reviewTypes = new Map();
+    const missingPropertyIds = new Set();
+    const q = SchemaManager.quoteIdentifier;
+
+    for (const rename of drift.renamed) {
+      // Renamed outside the sync, e.g. by an applied plan-schema migration: only the mapping changes
+      if (existing.has(rename.to) && !existing.has(rename.from)) {
+        report.renamed.push({ ...rename, applied: true });
+        continue;
+      }
+
+      // The mapped column was dropped by hand (or the table is new): the column is added under
+      // the new name with the other missing columns, so only the mapping changes
+      if (!existing.has(rename.from)) {
+        report.renamed.push({ ...rename, applied: true, columnMissing: true });
+        missingPropertyIds.add(rename.propertyId);
+        continue;
+      }
+
+      if (existing.has(rename.to)) {
+        report.errors.push({ ...rename, error: `Column ${rename.to} already exists` });
+        continue;
+      }
+
+      try {
+        for (const { from, to } of [rename, ...rename.companions.filter(candidate => existing.has(candidate.from))]) {
+          report.statements.push(SchemaManager.renameColumnStatement(this.tableName, from, to));
+          if (!dryRun) {
+            await this.supabaseService.renameColumn(this.tableName, from, to);
+          }
+        }
+        report.renamed.push(rename);
+      } catch (error) {
+        report.errors.push({ ...rename, error: error.message });
+      }
+    }
+
+    for (const change of drift.retyped) {
+      // A column that is added fresh already gets the new type
+      if (missingPropertyIds.has(change.propertyId)) continue;
+
+      // Changes already waiting for review stay held until the mapping row is updated
+      const using = this.typeChanges === 'cast' && !change.inReview
+        ? getCastExpression(q(change.column), change.from, change.to)
+        : null;
+
+      if (!using) {
+        report.review.push(change);
+        reviewTypes.set(change.propertyId, change.from);
+        continue;
+      }
+
+      try {
+        report.statements.push(SchemaManager.alterColumnTypeStatement(this.tableName, change.column, change.to, using));
+        if (!dryRun) {
+          await this.supabaseService.alterColumnType(this.tableName, change.column, change.to);
+        }
+        report.retyped.push({ ...change, using });
+      } catch (error) {
+        // Existing values that do not convert leave the column for manual review
+        report.review.push({ ...change, error: error.message });
+        reviewTypes.set(change.propertyId, change.from);
+      }
+    }
+
+    const deletedStatuses = new Map();
+    for (const deletion of drift.deleted) {
+      try {
+        let status = 'deleted';
+        let archivedAs = null;
+        const statementCount = report.statements.length;
+
+        if (this.deletedProperties === 'archive' && existing.has(`${deletion.column}_archived`) && !existing.has(deletion.column)) {
+          archivedAs = `${deletion.column}_archived`;
+          status = 'archived';
+        } else if (this.deletedProperties === 'archive' && existing.has(deletion.column)) {
+          archivedAs = `${deletion.column}_archived`;
+          report.statements.push(SchemaManager.renameColumnStatement(this.tableName, deletion.column, archivedAs));
+          if (!dryRun) {
+            await this.supabaseService.renameColumn(this.tableName, deletion.column, archivedAs);
+          }
+          status = 'archived';
+        } else if (this.deletedProperties === 'drop') {
+          for (const column of [deletion.column, ...deletion.companions].filter(candidate => existing.has(candidate))) {
+            report.statements.push(SchemaManager.dropColumnStatement(this.tableName, column));
+            if (!dryRun) {
+              await this.supabaseService.dropColumn(this.tableName, column);
+            }
+          }
+          status = 'dropped';
+        }
+
+        deletedStatuses.set(deletion.propertyId, { status, archivedAs });
+        report.deleted.push({
+          ...deletion,
+          policy: this.deletedProperties,
+          archivedAs,
+          // Nothing left to change in the table, e.g. after an applied plan-schema migration
+          applied: report.statements.length === statementCount
+        });
+      } catch (error) {
+        report.errors.push({ ...deletion, error: error.message });
+      }
+    }
+
+    report.heldColumns = report.review.map(change => change.column);
+
+    if (!dryRun) {
+      if (report.statements.length > 0) {
+        await this.supabaseService.refreshSchemaCache(this.tableName);
+      }
+
+      const failedRenames = new Set(report.errors.filter(error => error.to).map(error => error.propertyId));
+      await this.saveMapping(
+        columns.filter(column => !failedRenames.has(column.propertyId)),
+        { reviewTypes }
+      );
+      await this.markDeleted(mapping, deletedStatuses);
+    }
+
+    if (report.renamed.length || report.retyped.length || report.review.length || report.deleted.length || report.errors.length) {
+      logger.warn('Schema drift detected', {
+        profile: this.profileName,
+        tableName: this.tableName,
+        renamed: report.renamed.map(rename => `${rename.from} → ${rename.to}`),
+        retyped: report.retyped.map(change => `${change.column}: ${change.from} → ${change.to}`),
+        review: report.review.map(change => `${change.column}: ${change.from} → ${change.to}`),
+        deleted: report.deleted.map(deletion => `${deletion.column} (${deletion.policy})`),
+        errors: report.errors.length,
+        dryRun
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Record the column each current property is written to
+   * @param {Array} columns - Column definitions
+   * @param {Object} options - Save options
+   * @param {Map} options.reviewTypes - Property ID → column type kept while a type change awaits review
+   * @returns {Promise<void>}
+   */
+  async saveMapping(columns, options = {}) {
+    const { reviewTypes = new Map() } = options;
+    const now = new Date().toISOString();
+
+    const rows = columns
+      .filter(column => !column.companionOf && column.propertyId)
+      .map(column => ({
+        profile: this.profileName,
+        table_name: this.tableName,
+        property_id: column.propertyId,
+        property_name: column.originalName,
+        notion_type: column.notionType,
+        column_name: column.name,
+        column_type: reviewTypes.has(column.propertyId) ? reviewTypes.get(column.propertyId) : column.type,
+        pending_type: reviewTypes.has(column.propertyId) ? column.type : null,
+        companion_columns: columns
+          .filter(companion => companion.companionOf === column.name)
+          .map(companion => companion.name),
+        status: reviewTypes.has(column.propertyId) ? 'review' : 'active',
+        updated_at: now
+      }));
+
+    if (rows.length === 0) return;
+
+    const { error } = await this.supabaseService.request(() => this.supabaseService.client
+      .from(this.mapTable)
+      .upsert(rows, { onConflict: 'profile,property_id' }));
+
+    if (error) {
+      logger.error('Error saving property map', { error, profile: this.profileName });
+      throw new Error(error.message);
+    }
+  }
+
+  /**
+   * Record the outcome for properties that no longer exist in Notion
+   * @param {Array} mapping - Mapping rows loaded before reconciling
+   * @param {Map} deletedStatuses - Property ID → { status, archivedAs }
+   * @returns {Promise<void>}
+   */
+  async markDeleted(mapping, deletedStatuses) {
+    for (const [propertyId, { status, archivedAs }] of deletedStatuses) {
+      const row = mapping.find(candidate => candidate.property_id === propertyId);
+
+      const { error } = await this.supabaseService.request(() => this.supabaseService.client
+        .from(this.mapTable)
+        .update({
+          status,
+          column_name: archivedAs || row.column_name,
+          updated_at: new Date().toISOString()
+        })
+        .eq('profile', this.profileName)
+        .eq('property_id', propertyId));
+
+      if (error) {
+        logger.error('Error updating property map', { error, profile: this.profileName, propertyId });
+      }
+    }
+  }
+}
+
+SchemaDrift.DELETED_PROPERTY_POLICIES = DELETED_PROPERTY_POLICIES;
+SchemaDrift.TYPE_CHANGE_POLICIES = TYPE_CHANGE_POLICIES;
+
+module.exports = SchemaDrift;
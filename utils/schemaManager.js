@@ -1,4 +1,42 @@
 const logger = require('../config/logger');
+const { RICH_TEXT_FORMATS } = require('./richText');
+const { PEOPLE_TYPES, PEOPLE_FORMATS } = require('./people');
+
+// Result type of each rollup function; show_* and *_per_group return one value per related page
+const ROLLUP_FUNCTION_RESULT_TYPES = {
+  average: 'number', checked: 'number', count: 'number', count_values: 'number',
+  empty: 'number', max: 'number', median: 'number', min: 'number', not_empty: 'number',
+  percent_checked: 'number', percent_empty: 'number', percent_not_empty: 'number',
+  percent_unchecked: 'number', range: 'number', sum: 'number', unchecked: 'number', unique: 'number',
+  date_range: 'date', earliest_date: 'date', latest_date: 'date',
+  show_original: 'array', show_unique: 'array', count_per_group: 'array', percent_per_group: 'array'
+};
+
+const TIMESTAMP_TYPE = 'TIMESTAMP WITH TIME ZONE';
+
+// Columns every synced table has regardless of the Notion schema
+const BASE_COLUMNS = ['id', 'notion_id', 'created_at', 'updated_at', 'last_edited_time'];
+
+// Explicit column names end up in DDL, so they are restricted to safe forms
+const COLUMN_NAME_PATTERN = /^[a-z_][a-z0-9_]{0,62}$/;
+
+// Column types the sync_*_column database functions accept (canonical catalog names)
+const ALLOWED_COLUMN_TYPES = [
+  'text', 'text[]', 'numeric', 'integer', 'bigint', 'double precision', 'boolean',
+  'date', 'timestamp with time zone', 'timestamp without time zone', 'jsonb', 'uuid'
+];
+
+// Type spellings accepted in overrides → the name the Postgres catalog reports
+const COLUMN_TYPE_ALIASES = {
+  timestamptz: 'timestamp with time zone',
+  timestamp: 'timestamp without time zone',
+  timetz: 'time with time zone',
+  time: 'time without time zone',
+  int: 'integer', int4: 'integer', int8: 'bigint', int2: 'smallint',
+  float8: 'double precision', float4: 'real', float: 'double precision',
+  bool: 'boolean', decimal: 'numeric',
+  varchar: 'character varying', char: 'character'
+};
 
 /**
  * Schema manager for handling Notion to Supabase schema mapping
@@ -7,9 +45,10 @@ class SchemaManager {
   /**
    * Map Notion property types to Supabase column types
    * @param {string} notionType - Notion property type
+   * @param {Object} propertyConfig - Notion property schema (used for formula and rollup results)
    * @returns {string} - Supabase column type
    */
-  static mapNotionTypeToSupabaseType(notionType) {
+  static mapNotionTypeToSupabaseType(notionType, propertyConfig = {}) {
     switch (notionType) {
       case 'title':
       case 'rich_text':
@@ -31,7 +70,7 @@ class SchemaManager {
       case 'date':
       case 'created_time':
       case 'last_edited_time':
-        return 'TIMESTAMP WITH TIME ZONE';
+        return TIMESTAMP_TYPE;
       
       case 'checkbox':
         return 'BOOLEAN';
@@ -40,10 +79,8 @@ class SchemaManager {
         return 'NUMERIC';
       
       case 'formula':
-        return 'TEXT'; // Default to TEXT for formulas
-      
       case 'rollup':
-        return 'TEXT'; // Default to TEXT for rollups
+        return this.mapResultTypeToSupabaseType(this.getResultType(propertyConfig));
       
       default:
         logger.warn(`Unknown Notion type: ${notionType}, defaulting to TEXT`);
@@ -51,6 +88,270 @@ class SchemaManager {
     }
   }
 
+  /**
+   * Map a formula or rollup result type to a Supabase column type
+   * @param {string|null} resultType - string, number, boolean, date or array
+   * @returns {string} - Supabase column type (TEXT when the result type is unknown)
+   */
+  static mapResultTypeToSupabaseType(resultType) {
+    switch (resultType) {
+      case 'number':
+        return 'NUMERIC';
+      case 'boolean':
+        return 'BOOLEAN';
+      case 'date':
+        return TIMESTAMP_TYPE;
+      case 'array':
+        return 'JSONB';
+      default:
+        return 'TEXT';
+    }
+  }
+
+  /**
+   * Get the result type of a formula or rollup property
+   * Rollups are typed by their function; formulas need a resultType inferred from sampled pages
+   * @param {Object} propertyConfig - Notion property schema
+   * @returns {string|null} - Result type, or null when unknown
+   */
+  static getResultType(propertyConfig = {}) {
+    if (propertyConfig.type === 'rollup') {
+      const functionType = ROLLUP_FUNCTION_RESULT_TYPES[propertyConfig.rollup?.function];
+      if (functionType) return functionType;
+    }
+
+    return propertyConfig.resultType || null;
+  }
+
+  /**
+   * Whether any formula or rollup in the schema needs sampled pages to be typed
+   * @param {Object} databaseSchema - Notion database schema
+   * @returns {boolean}
+   */
+  static needsResultTypeSample(databaseSchema) {
+    return Object.values(databaseSchema?.properties || {}).some(propertyConfig =>
+      ['formula', 'rollup'].includes(propertyConfig.type) && !this.getResultType(propertyConfig)
+    );
+  }
+
+  /**
+   * Annotate formula and rollup properties with the result type seen on sampled pages
+   * @param {Object} databaseSchema - Notion database schema
+   * @param {Array} samplePages - Pages from the database
+   * @returns {Object} - Schema copy with `resultType` set where it could be inferred
+   */
+  static inferResultTypes(databaseSchema, samplePages = []) {
+    const properties = { ...databaseSchema.properties };
+
+    for (const [propertyName, propertyConfig] of Object.entries(properties)) {
+      if (!['formula', 'rollup'].includes(propertyConfig.type) || this.getResultType(propertyConfig)) continue;
+
+      // The result type is reported even when the value itself is empty
+      const resultType = samplePages
+        .map(page => page.properties?.[propertyName]?.[propertyConfig.type]?.type)
+        .find(type => type && !['incomplete', 'unsupported'].includes(type));
+
+      if (resultType) {
+        properties[propertyName] = { ...propertyConfig, resultType };
+      }
+    }
+
+    return { ...databaseSchema, properties };
+  }
+
+  /**
+   * Whether a property holds a date (possibly a range) that needs companion columns
+   * @param {Object} propertyConfig - Notion property schema
+   * @returns {boolean}
+   */
+  static hasDateValue(propertyConfig = {}) {
+    return propertyConfig.type === 'date' ||
+      (['formula', 'rollup'].includes(propertyConfig.type) && this.getResultType(propertyConfig) === 'date');
+  }
+
+  /**
+   * Companion columns that keep the end and time zone of a date property
+   * @param {string} columnName - Column holding the start date
+   * @returns {Array} - Column definitions with the date field they hold
+   */
+  static getDateCompanionColumns(columnName) {
+    return [
+      { name: `${columnName}_end`, type: TIMESTAMP_TYPE, field: 'end' },
+      { name: `${columnName}_time_zone`, type: 'TEXT', field: 'timeZone' }
+    ];
+  }
+
+  /**
+   * Look up the options configured for a property, by property name or property ID
+   * @param {Object} propertiesConfig - Profile `properties` config
+   * @param {string} propertyName - Notion property name
+   * @param {string} propertyId - Notion property ID
+   * @returns {Object} - Property options ({ column, type, ignore, default, formats })
+   */
+  static getPropertyOptions(propertiesConfig, propertyName, propertyId) {
+    if (!propertiesConfig) return {};
+    return propertiesConfig[propertyName] || (propertyId && propertiesConfig[propertyId]) || {};
+  }
+
+  /**
+   * Resolve the column a property is stored in
+   * @param {string} propertyName - Notion property name
+   * @param {string} propertyId - Notion property ID
+   * @param {Object} options - Property options
+   * @returns {string} - Column name
+   */
+  static getColumnName(propertyName, propertyId, options = {}) {
+    if (options.column) return options.column;
+
+    const columnName = this.convertToSnakeCase(propertyName);
+    if (columnName) return columnName;
+
+    // Names without Latin letters or digits (e.g. "名前") normalize to nothing,
+    // so fall back to a stable name derived from the property ID
+    return `property_${Buffer.from(propertyId || propertyName).toString('hex')}`;
+  }
+
+  /**
+   * Validate a profile's `properties` config
+   * @param {Object} propertiesConfig - Property name or ID → options
+   * @returns {Array<string>} - Validation errors
+   */
+  static validatePropertiesConfig(propertiesConfig = {}) {
+    const errors = [];
+    const explicitColumns = new Map();
+
+    for (const [property, options] of Object.entries(propertiesConfig || {})) {
+      if (!options || typeof options !== 'object') {
+        errors.push(`Options for property '${property}' must be an object`);
+        continue;
+      }
+
+      if (options.column !== undefined) {
+        if (!COLUMN_NAME_PATTERN.test(options.column)) {
+          errors.push(`Invalid column '${options.column}' for property '${property}': use lowercase letters, digits and underscores`);
+        } else if (explicitColumns.has(options.column)) {
+          errors.push(`Properties '${explicitColumns.get(options.column)}' and '${property}' both map to column '${options.column}'`);
+        } else {
+          explicitColumns.set(options.column, property);
+        }
+      }
+
+      if (options.type !== undefined && !ALLOWED_COLUMN_TYPES.includes(this.normalizeColumnType(options.type))) {
+        errors.push(`Invalid type '${options.type}' for property '${property}'. Use one of: ${ALLOWED_COLUMN_TYPES.join(', ')}`);
+      }
+
+      // Which formats apply depends on the property type, checked in applyPropertyOptions
+      const knownFormats = new Set([...Object.keys(RICH_TEXT_FORMATS), ...Object.keys(PEOPLE_FORMATS)]);
+      const invalidFormats = (options.formats || []).filter(format => !knownFormats.has(format));
+      if (invalidFormats.length > 0) {
+        errors.push(`Invalid formats for property '${property}': ${invalidFormats.join(', ')}. Use any of: ${[...knownFormats].join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Attach per-property sync options from the profile's `properties` config to the schema
+   * Options can be keyed by property name or by property ID (which survives renames)
+   * @param {Object} databaseSchema - Notion database schema
+   * @param {Object} propertiesConfig - Property name or ID → options
+   * @returns {Object} - Schema copy with `options` set on configured properties
+   */
+  static applyPropertyOptions(databaseSchema, propertiesConfig = {}) {
+    const properties = { ...databaseSchema.properties };
+    const matchedKeys = new Set();
+
+    for (const [propertyName, propertyConfig] of Object.entries(properties)) {
+      const key = [propertyName, propertyConfig.id].find(candidate => candidate && propertiesConfig?.[candidate]);
+      if (!key) continue;
+
+      const options = propertiesConfig[key];
+      matchedKeys.add(key);
+
+      const formats = this.getFormats(propertyConfig.type);
+      const unsupportedFormats = (options.formats || []).filter(format => !formats[format]);
+      if (unsupportedFormats.length > 0) {
+        logger.warn('Formats not supported for this property type are ignored', {
+          propertyName,
+          notionType: propertyConfig.type,
+          formats: unsupportedFormats,
+          supported: Object.keys(formats)
+        });
+      }
+
+      properties[propertyName] = { ...propertyConfig, options };
+    }
+
+    for (const key of Object.keys(propertiesConfig || {})) {
+      if (!matchedKeys.has(key)) {
+        logger.warn('Configured property not found in Notion database', { property: key });
+      }
+    }
+
+    return { ...databaseSchema, properties };
+  }
+
+  /**
+   * Find column names claimed by more than one property (or by a property and a managed column)
+   * @param {Array} columns - Column definitions from extractColumnDefinitions
+   * @param {Array} managedColumns - Columns added by sync features (content, soft-delete, ...)
+   * @returns {Array} - { column, sources } for every collision
+   */
+  static findColumnCollisions(columns, managedColumns = []) {
+    const sources = new Map();
+
+    for (const column of [...columns, ...managedColumns]) {
+      const source = column.originalName
+        ? (column.companionOf ? `${column.originalName} (${column.name})` : column.originalName)
+        : `managed column ${column.name}`;
+      sources.set(column.name, [...(sources.get(column.name) || []), source]);
+    }
+
+    return [...sources.entries()]
+      .filter(([, columnSources]) => columnSources.length > 1)
+      .map(([column, columnSources]) => ({ column, sources: columnSources }));
+  }
+
+  /**
+   * Export formats available for a property type
+   * @param {string} notionType - Notion property type
+   * @returns {Object} - Format name → { suffix, type, render }; empty for types without formats
+   */
+  static getFormats(notionType) {
+    if (['title', 'rich_text'].includes(notionType)) return RICH_TEXT_FORMATS;
+    if (PEOPLE_TYPES.includes(notionType)) return PEOPLE_FORMATS;
+    return {};
+  }
+
+  /**
+   * Columns holding the extra export formats of a property
+   * (md, html and json for title and rich_text; json for people, created_by and last_edited_by)
+   * @param {string} columnName - Column holding the plain value
+   * @param {string} notionType - Notion property type
+   * @param {Array<string>} formats - Format names
+   * @returns {Array} - Column definitions with the format they hold
+   */
+  static getFormatColumns(columnName, notionType, formats = []) {
+    const available = this.getFormats(notionType);
+    return formats
+      .filter(format => available[format])
+      .map(format => ({
+        name: `${columnName}${available[format].suffix}`,
+        type: available[format].type,
+        format
+      }));
+  }
+
+  /**
+   * Quote an identifier for use in DDL
+   * @param {string} identifier - Table or column name
+   * @returns {string} - Double-quoted identifier
+   */
+  static quoteIdentifier(identifier) {
+    return `"${String(identifier).replace(/"/g, '""')}"`;
+  }
+
   /**
    * Convert property name to snake_case for database compatibility
    * @param {string} propertyName - Notion property name
@@ -78,16 +379,43 @@ class SchemaManager {
     }
 
     for (const [propertyName, propertyConfig] of Object.entries(databaseSchema.properties)) {
+      const options = propertyConfig.options || {};
+      if (options.ignore) continue;
+
       try {
-        const columnName = this.convertToSnakeCase(propertyName);
-        const columnType = this.mapNotionTypeToSupabaseType(propertyConfig.type);
+        const columnName = this.getColumnName(propertyName, propertyConfig.id, options);
+        const columnType = options.type || this.mapNotionTypeToSupabaseType(propertyConfig.type, propertyConfig);
         
         columns.push({
           name: columnName,
           type: columnType,
           originalName: propertyName,
-          notionType: propertyConfig.type
+          propertyId: propertyConfig.id,
+          notionType: propertyConfig.type,
+          defaultValue: options.default
         });
+
+        if (this.hasDateValue(propertyConfig)) {
+          columns.push(...this.getDateCompanionColumns(columnName).map(companion => ({
+            name: companion.name,
+            type: companion.type,
+            originalName: propertyName,
+            propertyId: propertyConfig.id,
+            notionType: propertyConfig.type,
+            companionOf: columnName
+          })));
+        }
+
+        if (options.formats) {
+          columns.push(...this.getFormatColumns(columnName, propertyConfig.type, options.formats).map(formatColumn => ({
+            name: formatColumn.name,
+            type: formatColumn.type,
+            originalName: propertyName,
+            propertyId: propertyConfig.id,
+            notionType: propertyConfig.type,
+            companionOf: columnName
+          })));
+        }
         
         logger.debug('Column definition created', {
           originalName: propertyName,
@@ -113,64 +441,91 @@ class SchemaManager {
    * @returns {Array} - Array of SQL statements
    */
   static generateAlterTableStatements(tableName, columnDefinitions) {
+    const q = this.quoteIdentifier;
     return columnDefinitions.map(column => {
-      return `ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS ${column.name} ${column.type}`;
+      return `ALTER TABLE ${q(tableName)} ADD COLUMN IF NOT EXISTS ${q(column.name)} ${column.type}`;
     });
   }
 
   /**
-   * Get existing columns from Supabase table using a different approach
+   * Build a RENAME COLUMN statement
+   * @param {string} tableName - Table name
+   * @param {string} fromColumn - Current column name
+   * @param {string} toColumn - New column name
+   * @returns {string} - SQL statement
+   */
+  static renameColumnStatement(tableName, fromColumn, toColumn) {
+    const q = this.quoteIdentifier;
+    return `ALTER TABLE ${q(tableName)} RENAME COLUMN ${q(fromColumn)} TO ${q(toColumn)}`;
+  }
+
+  /**
+   * Build an ALTER COLUMN ... TYPE statement
+   * @param {string} tableName - Table name
+   * @param {string} column - Column name
+   * @param {string} type - New column type
+   * @param {string} using - SQL expression converting the old value
+   * @returns {string} - SQL statement
+   */
+  static alterColumnTypeStatement(tableName, column, type, using) {
+    const q = this.quoteIdentifier;
+    return `ALTER TABLE ${q(tableName)} ALTER COLUMN ${q(column)} TYPE ${type} USING ${using}`;
+  }
+
+  /**
+   * Build a DROP COLUMN statement
+   * @param {string} tableName - Table name
+   * @param {string} column - Column name
+   * @returns {string} - SQL statement
+   */
+  static dropColumnStatement(tableName, column) {
+    const q = this.quoteIdentifier;
+    return `ALTER TABLE ${q(tableName)} DROP COLUMN IF EXISTS ${q(column)}`;
+  }
+
+  /**
+   * Get existing column names from the table catalog
    * @param {Object} supabaseService - Supabase service instance
    * @param {string} tableName - Table name
-   * @returns {Promise<Array>} - Array of existing column names
+   * @returns {Promise<Array>} - Array of existing column names (empty when the table does not exist)
    */
   static async getExistingColumns(supabaseService, tableName) {
-    try {
-      // Try to get a single row to check if table exists and get column info
-      const { data, error } = await supabaseService.client
-        .from(tableName)
-        .select('*')
-        .limit(1);
-
-      if (error) {
-        if (error.code === '42P01') {
-          // Table doesn't exist
-          logger.info('Table does not exist yet', { tableName });
-          return [];
-        }
-        throw error;
-      }
+    const catalog = await supabaseService.describeTable(tableName);
 
-      // If we get data, the table exists but we need to get column names differently
-      // Since we can't use information_schema directly, we'll use a workaround
-      // by trying to insert a test row and see what columns are available
-      
-      // Get the first row to see what columns exist
-      const { data: sampleData } = await supabaseService.client
-        .from(tableName)
-        .select('*')
-        .limit(1);
-
-      if (sampleData && sampleData.length > 0) {
-        // Extract column names from the first row
-        const existingColumns = Object.keys(sampleData[0]);
-        logger.info('Found existing columns', { tableName, columns: existingColumns });
-        return existingColumns;
-      }
+    if (!catalog) {
+      logger.info('Table does not exist yet', { tableName });
+      return [];
+    }
 
-      // If no data exists, we'll assume only the base columns exist
-      logger.info('No data in table, assuming base columns only', { tableName });
-      return ['id', 'notion_id', 'created_at', 'updated_at'];
+    return catalog.columns.map(column => column.name);
+  }
 
-    } catch (error) {
-      logger.error('Error getting existing columns', {
-        tableName,
-        error: error.message
-      });
-      
-      // Fallback: return base columns
-      return ['id', 'notion_id', 'created_at', 'updated_at'];
-    }
+  /**
+   * Normalize a column type to the name Postgres reports for it (format_type)
+   * so declared types and catalog types can be compared
+   * @param {string} type - Column type, e.g. TIMESTAMPTZ or text[]
+   * @returns {string} - Canonical lowercase type
+   */
+  static normalizeColumnType(type) {
+    const normalized = String(type || '').toLowerCase().replace(/\s+/g, ' ').replace(/\s*,\s*/g, ',').trim();
+    const [, base, modifier = '', array = ''] = normalized.match(/^(.*?)\s*(\([\d,]+\))?\s*((?:\[\])*)$/);
+
+    return `${COLUMN_TYPE_ALIASES[base] || base}${modifier}${array}`;
+  }
+
+  /**
+   * Find existing columns whose catalog type differs from the required definition
+   * @param {Array} requiredColumns - Required column definitions
+   * @param {Array} catalogColumns - Columns from SupabaseService.describeTable
+   * @returns {Array} - { name, expected, actual }
+   */
+  static getTypeMismatches(requiredColumns, catalogColumns) {
+    const actualTypes = new Map(catalogColumns.map(column => [column.name, column.type]));
+
+    return requiredColumns
+      .filter(column => actualTypes.has(column.name))
+      .filter(column => this.normalizeColumnType(column.type) !== this.normalizeColumnType(actualTypes.get(column.name)))
+      .map(column => ({ name: column.name, expected: column.type, actual: actualTypes.get(column.name) }));
   }
 
   /**
@@ -269,4 +624,7 @@ class SchemaManager {
   }
 }
 
+SchemaManager.BASE_COLUMNS = BASE_COLUMNS;
+SchemaManager.ALLOWED_COLUMN_TYPES = ALLOWED_COLUMN_TYPES;
+
 module.exports = SchemaManager; 
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Schema plans: the DDL a sync would apply, as a reviewable diff and migration file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SchemaManager = require('./schemaManager');
+const RelationSync = require('./relationSync');
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+
+/**
+ * Build a schema plan: the DDL a sync would run for a profile, without running it
+ * @param {Object} options - Plan inputs
+ * @param {string} options.profile - Sync profile name
+ * @param {string} options.tableName - Synced table
+ * @param {Object} options.drift - Dry-run report from SchemaDrift.reconcile
+ * @param {Array} options.missingColumns - Column definitions missing from the table
+ * @param {Array} options.junctionTables - Missing junction tables from RelationSync.getMissingJunctions
+ * @param {Array} options.typeMismatches - { name, expected, actual } from SchemaManager.getTypeMismatches
+ * @returns {Object} - { profile, tableName, changes, statements, review, typeMismatches, errors }
+ */
+function buildSchemaPlan(options) {
+  const { profile, tableName, drift, missingColumns = [], junctionTables = [], typeMismatches = [] } = options;
+  const changes = [];
+
+  for (const rename of drift.renamed.filter(candidate => !candidate.applied)) {
+    changes.push({ action: 'rename', description: `${rename.from} → ${rename.to} (property "${rename.propertyName}")` });
+  }
+  for (const change of drift.retyped) {
+    changes.push({ action: 'retype', description: `${change.column}: ${change.from} → ${change.to}` });
+  }
+  for (const deletion of drift.deleted.filter(candidate => !candidate.applied)) {
+    changes.push({
+      action: deletion.policy,
+      description: deletion.archivedAs ? `${deletion.column} → ${deletion.archivedAs}` : deletion.column
+    });
+  }
+  for (const column of missingColumns) {
+    changes.push({ action: 'add', description: `${column.name} ${column.type}` });
+  }
+  for (const junction of junctionTables) {
+    changes.push({
+      action: 'create',
+      description: `${junction.junctionTable} (relation "${junction.propertyName}" → ${junction.targetTable})`
+    });
+  }
+
+  // Type changes held for review and other catalog type mismatches need a hand-written
+  // migration, so they are listed but never turned into statements
+  const driftColumns = new Set([...drift.retyped, ...drift.review].map(change => change.column));
+
+  return {
+    profile,
+    tableName,
+    changes,
+    statements: [
+      ...drift.statements,
+      ...SchemaManager.generateAlterTableStatements(tableName, missingColumns),
+      ...junctionTables.map(junction => RelationSync.createJunctionTableStatement(junction))
+    ],
+    review: drift.review.map(change => ({ column: change.column, from: change.from, to: change.to, error: change.error })),
+    typeMismatches: typeMismatches.filter(mismatch => !driftColumns.has(mismatch.name)),
+    errors: drift.errors
+  };
+}
+
+/**
+ * Render a schema plan as a human-readable diff
+ * @param {Object} plan - Plan from buildSchemaPlan
+ * @returns {string} - Diff text
+ */
+function formatSchemaPlan(plan) {
+  const lines = [`Schema plan for profile "${plan.profile}" (table ${plan.tableName})`];
+
+  if (plan.changes.length === 0 && plan.review.length === 0 && plan.typeMismatches.length === 0) {
+    lines.push('  No changes');
+  }
+
+  const markers = { add: '+', create: '+', rename: '~', retype: '~', archive: '-', drop: '-' };
+  for (const change of plan.changes) {
+    lines.push(`  ${markers[change.action]} ${change.action.padEnd(7)} ${change.description}`);
+  }
+  for (const change of plan.review) {
+    lines.push(`  ! review  ${change.column}: ${change.from} → ${change.to}${change.error ? ` (${change.error})` : ''}`);
+  }
+  for (const mismatch of plan.typeMismatches) {
+    lines.push(`  ! type    ${mismatch.name} is ${mismatch.actual}, Notion schema expects ${mismatch.expected}`);
+  }
+  for (const error of plan.errors || []) {
+    lines.push(`  ! error   ${error.error}`);
+  }
+
+  if (plan.statements.length > 0) {
+    lines.push('', ...plan.statements.map(statement => `  ${statement};`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a schema plan as a Supabase migration
+ * @param {Object} plan - Plan from buildSchemaPlan
+ * @param {Date} generatedAt - Generation time
+ * @returns {string} - Migration SQL
+ */
+function renderMigration(plan, generatedAt = new Date()) {
+  const comments = formatSchemaPlan({ ...plan, statements: [] })
+    .split('\n')
+    .map(line => `-- ${line}`.trimEnd());
+
+  return [
+    ...comments,
+    `-- Generated by \`node index.js plan-schema\` at ${generatedAt.toISOString()}`,
+    '',
+    ...plan.statements.map(statement => `${statement};`),
+    '',
+    '-- Let PostgREST pick up the new columns',
+    "NOTIFY pgrst, 'reload schema';",
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write a schema plan to a timestamped migration file
+ * @param {Object} plan - Plan from buildSchemaPlan
+ * @param {Object} options - Write options
+ * @param {string} options.directory - Migrations directory (default supabase/migrations)
+ * @param {Date} options.now - Timestamp used for the file name
+ * @returns {string|null} - Path of the written file, or null when the plan has no statements
+ */
+function writeMigration(plan, options = {}) {
+  const { directory = DEFAULT_MIGRATIONS_DIR, now = new Date() } = options;
+  if (plan.statements.length === 0) return null;
+
+  // Same YYYYMMDDHHMMSS prefix the Supabase CLI uses
+  const timestamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const slug = `${plan.profile}_schema_plan`.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+  const filePath = path.join(directory, `${timestamp}_${slug}.sql`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(filePath, renderMigration(plan, now));
+  return filePath;
+}
+
+module.exports = {
+  buildSchemaPlan,
+  formatSchemaPlan,
+  renderMigration,
+  writeMigration
+};
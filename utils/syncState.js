@@ -1,70 +1,215 @@
 const logger = require('../config/logger');
 
+// sync_state columns holding the checkpoint of an unfinished run
+const CLEARED_CHECKPOINT = {
+  checkpoint_cursor: null,
+  checkpoint_since: null,
+  checkpoint_started_at: null,
+  checkpoint_last_edited_time: null,
+  checkpoint_pages: null,
+  checkpoint_updated_at: null
+};
+
 /**
  * Sync state management for tracking incremental sync progress
  */
 class SyncStateManager {
-  constructor(supabase, tableName = 'sync_state') {
-    this.supabase = supabase;
+  constructor(supabaseService, tableName = 'sync_state') {
+    // Requests go through the service for its retries, circuit breaker and run signal
+    this.supabaseService = supabaseService;
+    this.supabase = supabaseService.client;
     this.tableName = tableName;
   }
 
   /**
-   * Get the last sync timestamp for a database
-   * @param {string} databaseId - Notion database ID
+   * Encode an opaque continuation token for a run that stopped at a checkpoint
+   * @param {string} profileName - Sync profile name
+   * @param {string} cursor - Notion cursor saved in the checkpoint
+   * @returns {string} - Continuation token
+   */
+  static encodeContinuation(profileName, cursor) {
+    return Buffer.from(JSON.stringify({ profile: profileName, cursor })).toString('base64url');
+  }
+
+  /**
+   * Decode a continuation token
+   * @param {string} token - Token from encodeContinuation
+   * @returns {Object|null} - { profile, cursor }, or null when the token is malformed
+   */
+  static decodeContinuation(token) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+      return decoded && decoded.profile && decoded.cursor ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the last sync timestamp for a sync profile
+   * @param {string} profileName - Sync profile name
    * @returns {Promise<string|null>} - Last sync timestamp or null
    */
-  async getLastSyncTime(databaseId) {
+  async getLastSyncTime(profileName) {
     try {
-      const { data, error } = await this.supabase
+      const { data, error } = await this.supabaseService.request(() => this.supabase
         .from(this.tableName)
         .select('last_sync_time')
-        .eq('database_id', databaseId)
-        .single();
+        .eq('profile', profileName)
+        .single());
 
       if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-        logger.error('Error fetching last sync time', { error, databaseId });
+        logger.error('Error fetching last sync time', { error, profileName });
         return null;
       }
 
       return data?.last_sync_time || null;
     } catch (error) {
-      logger.error('Error in getLastSyncTime', { error: error.message, databaseId });
+      logger.error('Error in getLastSyncTime', { error: error.message, profileName });
       return null;
     }
   }
 
   /**
-   * Update the last sync timestamp for a database
-   * @param {string} databaseId - Notion database ID
+   * Update the last sync timestamp for a sync profile and clear its checkpoint
+   * @param {string} profileName - Sync profile name
+   * @param {string} databaseId - Notion database ID synced by the profile
    * @param {string} syncTime - ISO timestamp string
+   * @param {Object} extraFields - Additional sync_state columns to store
    * @returns {Promise<boolean>} - Success status
    */
-  async updateLastSyncTime(databaseId, syncTime) {
+  async updateLastSyncTime(profileName, databaseId, syncTime, extraFields = {}) {
     try {
-      const { error } = await this.supabase
+      const { error } = await this.supabaseService.request(() => this.supabase
         .from(this.tableName)
         .upsert({
+          profile: profileName,
           database_id: databaseId,
           last_sync_time: syncTime,
+          ...CLEARED_CHECKPOINT,
+          ...extraFields,
           updated_at: new Date().toISOString()
         }, {
-          onConflict: 'database_id'
-        });
+          onConflict: 'profile'
+        }));
 
       if (error) {
-        logger.error('Error updating last sync time', { error, databaseId, syncTime });
+        logger.error('Error updating last sync time', { error, profileName, syncTime });
         return false;
       }
 
-      logger.info('Sync state updated', { databaseId, syncTime });
+      logger.info('Sync state updated', { profileName, databaseId, syncTime, ...extraFields });
       return true;
     } catch (error) {
-      logger.error('Error in updateLastSyncTime', { error: error.message, databaseId, syncTime });
+      logger.error('Error in updateLastSyncTime', { error: error.message, profileName, syncTime });
       return false;
     }
   }
 
+  /**
+   * Get the checkpoint of an unfinished sync run
+   * @param {string} profileName - Sync profile name
+   * @returns {Promise<Object|null>} - { cursor, since, startedAt, lastEditedTime, pages, updatedAt } or null
+   */
+  async getCheckpoint(profileName) {
+    try {
+      const { data, error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .select('checkpoint_cursor, checkpoint_since, checkpoint_started_at, checkpoint_last_edited_time, checkpoint_pages, checkpoint_updated_at')
+        .eq('profile', profileName)
+        .single());
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Error fetching sync checkpoint', { error, profileName });
+        return null;
+      }
+
+      if (!data?.checkpoint_cursor) {
+        return null;
+      }
+
+      return {
+        cursor: data.checkpoint_cursor,
+        since: data.checkpoint_since,
+        startedAt: data.checkpoint_started_at,
+        lastEditedTime: data.checkpoint_last_edited_time,
+        pages: data.checkpoint_pages || 0,
+        updatedAt: data.checkpoint_updated_at
+      };
+    } catch (error) {
+      logger.error('Error in getCheckpoint', { error: error.message, profileName });
+      return null;
+    }
+  }
+
+  /**
+   * Persist the checkpoint of a running sync after a batch has been committed
+   * @param {string} profileName - Sync profile name
+   * @param {string} databaseId - Notion database ID synced by the profile
+   * @param {Object} checkpoint - Checkpoint to store
+   * @param {string} checkpoint.cursor - Notion next_cursor of the query
+   * @param {string|null} checkpoint.since - last_edited_time filter of the query
+   * @param {string} checkpoint.startedAt - Start time of the run that created the checkpoint
+   * @param {string|null} checkpoint.lastEditedTime - Highest last_edited_time processed so far
+   * @param {number} checkpoint.pages - Pages processed so far
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveCheckpoint(profileName, databaseId, checkpoint) {
+    try {
+      const { error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .upsert({
+          profile: profileName,
+          database_id: databaseId,
+          checkpoint_cursor: checkpoint.cursor,
+          checkpoint_since: checkpoint.since,
+          checkpoint_started_at: checkpoint.startedAt,
+          checkpoint_last_edited_time: checkpoint.lastEditedTime,
+          checkpoint_pages: checkpoint.pages,
+          checkpoint_updated_at: new Date().toISOString()
+        }, {
+          onConflict: 'profile'
+        }));
+
+      if (error) {
+        logger.error('Error saving sync checkpoint', { error, profileName });
+        return false;
+      }
+
+      logger.debug('Sync checkpoint saved', { profileName, pages: checkpoint.pages });
+      return true;
+    } catch (error) {
+      logger.error('Error in saveCheckpoint', { error: error.message, profileName });
+      return false;
+    }
+  }
+
+  /**
+   * Get the last time Supabase edits were pushed back to Notion
+   * @param {string} profileName - Sync profile name
+   * @returns {Promise<string|null>} - Last push timestamp or null
+   */
+  async getLastPushTime(profileName) {
+    try {
+      const { data, error } = await this.supabaseService.request(() => this.supabase
+        .from(this.tableName)
+        .select('last_push_time, last_sync_time')
+        .eq('profile', profileName)
+        .single());
+
+      if (error && error.code !== 'PGRST116') {
+        logger.error('Error fetching last push time', { error, profileName });
+        return null;
+      }
+
+      // Profiles that never pushed start from their last pull
+      return data?.last_push_time || data?.last_sync_time || null;
+    } catch (error) {
+      logger.error('Error in getLastPushTime', { error: error.message, profileName });
+      return null;
+    }
+  }
+
   /**
    * Initialize sync state table if it doesn't exist
    * @returns {Promise<boolean>} - Success status
@@ -72,18 +217,18 @@ class SyncStateManager {
   async initializeSyncStateTable() {
     try {
       // Check if table exists by trying to select from it
-      const { error } = await this.supabase
+      const { error } = await this.supabaseService.request(() => this.supabase
         .from(this.tableName)
         .select('database_id')
-        .limit(1);
+        .limit(1));
 
       if (error && error.code === '42P01') { // Table doesn't exist
         logger.info('Sync state table does not exist, creating...');
         
         // Create the table using SQL
-        const { error: createError } = await this.supabase.rpc('create_sync_state_table', {
+        const { error: createError } = await this.supabaseService.request(() => this.supabase.rpc('create_sync_state_table', {
           table_name: this.tableName
-        });
+        }));
 
         if (createError) {
           logger.error('Error creating sync state table', { error: createError });
@@ -101,62 +246,35 @@ class SyncStateManager {
   }
 
   /**
-   * Get sync statistics for a database
-   * @param {string} databaseId - Notion database ID
+   * Get sync statistics for a sync profile
+   * @param {string} profileName - Sync profile name
    * @returns {Promise<Object>} - Sync statistics
    */
-  async getSyncStats(databaseId) {
+  async getSyncStats(profileName) {
     try {
-      const { data, error } = await this.supabase
+      const { data, error } = await this.supabaseService.request(() => this.supabase
         .from(this.tableName)
         .select('*')
-        .eq('database_id', databaseId)
-        .single();
+        .eq('profile', profileName)
+        .single());
 
       if (error && error.code !== 'PGRST116') {
-        logger.error('Error fetching sync stats', { error, databaseId });
+        logger.error('Error fetching sync stats', { error, profileName });
         return null;
       }
 
       return data || {
-        database_id: databaseId,
+        profile: profileName,
+        database_id: null,
         last_sync_time: null,
         created_at: null,
         updated_at: null
       };
     } catch (error) {
-      logger.error('Error in getSyncStats', { error: error.message, databaseId });
+      logger.error('Error in getSyncStats', { error: error.message, profileName });
       return null;
     }
   }
-
-  /**
-   * Clean up old sync state records
-   * @param {number} daysToKeep - Number of days to keep records
-   * @returns {Promise<boolean>} - Success status
-   */
-  async cleanupOldRecords(daysToKeep = 30) {
-    try {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-      const { error } = await this.supabase
-        .from(this.tableName)
-        .delete()
-        .lt('updated_at', cutoffDate.toISOString());
-
-      if (error) {
-        logger.error('Error cleaning up old sync records', { error });
-        return false;
-      }
-
-      logger.info('Old sync records cleaned up', { cutoffDate: cutoffDate.toISOString() });
-      return true;
-    } catch (error) {
-      logger.error('Error in cleanupOldRecords', { error: error.message });
-      return false;
-    }
-  }
 }
 
 module.exports = SyncStateManager; 
\ No newline at end of file
@@ -0,0 +1,94 @@
+const logger = require('../config/logger');
+const { toUserRecord } = require('./people');
+
+// How long users.list results are reused before the directory is fetched again
+const USERS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Rows per upsert request
+const UPSERT_CHUNK_SIZE = 500;
+
+/**
+ * Notion user directory: users.list mirrored into the notion_users table and
+ * used to add names and emails to people JSON columns
+ */
+class UserDirectory {
+  constructor(notionService, supabaseService, tableName = 'notion_users') {
+    this.notionService = notionService;
+    this.supabaseService = supabaseService;
+    this.supabase = supabaseService.client;
+    this.tableName = tableName;
+
+    this.users = null;
+    this.fetchedAt = 0;
+  }
+
+  /**
+   * Fetch the workspace users from Notion, reusing a recent result
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Ignore the cached result
+   * @returns {Promise<Map>} - User ID → { id, name, email, avatar_url, type }
+   */
+  async fetchUsers(options = {}) {
+    const { refresh = false } = options;
+
+    if (!refresh && this.users && Date.now() - this.fetchedAt < USERS_CACHE_TTL_MS) {
+      return this.users;
+    }
+
+    const users = await this.notionService.listUsers();
+    this.users = new Map(users.map(user => [user.id, toUserRecord(user)]));
+    this.fetchedAt = Date.now();
+    return this.users;
+  }
+
+  /**
+   * Get the workspace users for people JSON columns
+   * Without users.list access (or the email capability) the values carry what the page provides
+   * @returns {Promise<Map>} - User ID → record; empty when the directory cannot be read
+   */
+  async getUsers() {
+    try {
+      return await this.fetchUsers();
+    } catch (error) {
+      logger.warn('Could not read the Notion user directory, people columns keep page data only', {
+        error: error.message
+      });
+      return new Map();
+    }
+  }
+
+  /**
+   * Upsert the workspace users into the notion_users table
+   * @returns {Promise<Object>} - { synced, people, bots }
+   */
+  async sync() {
+    try {
+      const records = [...(await this.fetchUsers({ refresh: true })).values()];
+      const now = new Date().toISOString();
+
+      for (let i = 0; i < records.length; i += UPSERT_CHUNK_SIZE) {
+        const { error } = await this.supabaseService.request(() => this.supabase
+          .from(this.tableName)
+          .upsert(records.slice(i, i + UPSERT_CHUNK_SIZE).map(record => ({ ...record, updated_at: now })), {
+            onConflict: 'id'
+          }));
+
+        if (error) throw new Error(error.message);
+      }
+
+      const result = {
+        synced: records.length,
+        people: records.filter(record => record.type === 'person').length,
+        bots: records.filter(record => record.type === 'bot').length
+      };
+
+      logger.info('Notion users synced', { tableName: this.tableName, ...result });
+      return result;
+    } catch (error) {
+      logger.error('Error syncing Notion users', { error: error.message, tableName: this.tableName });
+      throw error;
+    }
+  }
+}
+
+module.exports = UserDirectory;